@@ -65,7 +65,7 @@ resource "aws_api_gateway_method" "delete" {
   }
 }
 
-# API Gateway Method for OPTIONS (CORS)
+# API Gateway Method for OPTIONS (CORS preflight is answered by Lambda)
 resource "aws_api_gateway_method" "options" {
   rest_api_id   = aws_api_gateway_rest_api.main.id
   resource_id   = aws_api_gateway_resource.lambda.id
@@ -106,45 +106,120 @@ resource "aws_api_gateway_integration" "delete" {
   uri                    = aws_lambda_function.api.invoke_arn
 }
 
-# Integration for OPTIONS method (CORS)
+# Integration for OPTIONS method, so the Lambda applies the same CORS policy
+# to preflights as to every other response
 resource "aws_api_gateway_integration" "options" {
   rest_api_id = aws_api_gateway_rest_api.main.id
   resource_id = aws_api_gateway_resource.lambda.id
   http_method = aws_api_gateway_method.options.http_method
 
-  type = "MOCK"
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = aws_lambda_function.api.invoke_arn
+}
 
-  request_templates = {
-    "application/json" = "{\"statusCode\": 200}"
+# Greedy proxy resource for the versioned resource routes (/api/v1/...).
+# Routing within it is done by the Lambda function.
+resource "aws_api_gateway_resource" "proxy" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.lambda.id
+  path_part   = "{proxy+}"
+}
+
+# API Gateway Method for all verbs on the proxy resource
+resource "aws_api_gateway_method" "proxy_any" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.proxy.id
+  http_method   = "ANY"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.header.Authorization" = true
   }
 }
 
-# Method response for OPTIONS
-resource "aws_api_gateway_method_response" "options" {
+# API Gateway Method for OPTIONS on the proxy resource (CORS preflight is answered by Lambda)
+resource "aws_api_gateway_method" "proxy_options" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.proxy.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+# Integration for the proxy resource
+resource "aws_api_gateway_integration" "proxy_any" {
   rest_api_id = aws_api_gateway_rest_api.main.id
-  resource_id = aws_api_gateway_resource.lambda.id
-  http_method = aws_api_gateway_method.options.http_method
-  status_code = "200"
+  resource_id = aws_api_gateway_resource.proxy.id
+  http_method = aws_api_gateway_method.proxy_any.http_method
 
-  response_parameters = {
-    "method.response.header.Access-Control-Allow-Headers" = true
-    "method.response.header.Access-Control-Allow-Methods" = true
-    "method.response.header.Access-Control-Allow-Origin"  = true
-  }
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = aws_lambda_function.api.invoke_arn
 }
 
-# Integration response for OPTIONS
-resource "aws_api_gateway_integration_response" "options" {
+# Integration for OPTIONS on the proxy resource
+resource "aws_api_gateway_integration" "proxy_options" {
   rest_api_id = aws_api_gateway_rest_api.main.id
-  resource_id = aws_api_gateway_resource.lambda.id
-  http_method = aws_api_gateway_method.options.http_method
-  status_code = aws_api_gateway_method_response.options.status_code
+  resource_id = aws_api_gateway_resource.proxy.id
+  http_method = aws_api_gateway_method.proxy_options.http_method
 
-  response_parameters = {
-    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"
-    "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,DELETE,OPTIONS'"
-    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
-  }
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = aws_lambda_function.api.invoke_arn
+}
+
+# Public resource for read-only share links (/api/public/...). It takes
+# precedence over the greedy /api/{proxy+} resource and has no authorizer;
+# the Lambda only serves the routes it marks as public under this path.
+resource "aws_api_gateway_resource" "public" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.lambda.id
+  path_part   = "public"
+}
+
+resource "aws_api_gateway_resource" "public_proxy" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.public.id
+  path_part   = "{proxy+}"
+}
+
+# API Gateway Method for public GET requests (no Cognito authorizer)
+resource "aws_api_gateway_method" "public_get" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.public_proxy.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+# API Gateway Method for OPTIONS on the public resource
+resource "aws_api_gateway_method" "public_options" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.public_proxy.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+# Integration for public GET requests
+resource "aws_api_gateway_integration" "public_get" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.public_proxy.id
+  http_method = aws_api_gateway_method.public_get.http_method
+
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = aws_lambda_function.api.invoke_arn
+}
+
+# Integration for OPTIONS on the public resource
+resource "aws_api_gateway_integration" "public_options" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.public_proxy.id
+  http_method = aws_api_gateway_method.public_options.http_method
+
+  integration_http_method = "POST"
+  type                   = "AWS_PROXY"
+  uri                    = aws_lambda_function.api.invoke_arn
 }
 
 # IAM role for API Gateway to invoke Lambda
@@ -202,7 +277,10 @@ resource "aws_api_gateway_deployment" "main" {
     aws_api_gateway_integration.post,
     aws_api_gateway_integration.delete,
     aws_api_gateway_integration.options,
-    aws_api_gateway_integration_response.options
+    aws_api_gateway_integration.proxy_any,
+    aws_api_gateway_integration.proxy_options,
+    aws_api_gateway_integration.public_get,
+    aws_api_gateway_integration.public_options
   ]
 
   rest_api_id = aws_api_gateway_rest_api.main.id
@@ -215,7 +293,10 @@ resource "aws_api_gateway_deployment" "main" {
       aws_api_gateway_integration.post.id,
       aws_api_gateway_integration.delete.id,
       aws_api_gateway_integration.options.id,
-      aws_api_gateway_integration_response.options.id
+      aws_api_gateway_integration.proxy_any.id,
+      aws_api_gateway_integration.proxy_options.id,
+      aws_api_gateway_integration.public_get.id,
+      aws_api_gateway_integration.public_options.id
     ]))
   }
 
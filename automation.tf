@@ -6,6 +6,10 @@ resource "null_resource" "lambda_package" {
   triggers = {
     # Trigger when Lambda source files change
     lambda_index_js = filemd5("${path.module}/lambda/index.js")
+    lambda_metrics_js = filemd5("${path.module}/lambda/metrics.js")
+    lambda_image_store_js = filemd5("${path.module}/lambda/image-store.js")
+    lambda_thumbnails_js = filemd5("${path.module}/lambda/thumbnails.js")
+    lambda_providers = sha1(join("", [for f in sort(fileset("${path.module}/lambda/providers", "**")) : filemd5("${path.module}/lambda/providers/${f}")]))
     lambda_package_json = filemd5("${path.module}/lambda/package.json")
     # Also trigger on timestamp to ensure updates
     timestamp = timestamp()
@@ -24,7 +28,9 @@ resource "null_resource" "lambda_package" {
       Write-Host "📦 Creating Lambda package..."
       if (Test-Path "lambda") {
         Set-Location "lambda"
-        npm install --silent
+        # sharp ships native binaries; fetch the ones for the Lambda runtime.
+        # Test-only packages are left out of the package.
+        npm install --silent --omit=dev --os=linux --cpu=x64
         Set-Location ".."
         Compress-Archive -Path "lambda\*" -DestinationPath "lambda.zip" -Force
         Write-Host "✅ Lambda function packaged successfully!"
@@ -47,6 +53,7 @@ resource "null_resource" "full_automation" {
     cognito_user_pool_id = aws_cognito_user_pool.main.id
     cognito_user_pool_client_id = aws_cognito_user_pool_client.main.id
     cognito_identity_pool_id = aws_cognito_identity_pool.main.id
+    admin_group_name = aws_cognito_user_group.admin.name
     lambda_function_url = aws_lambda_function_url.api.function_url
     cloudfront_domain = aws_cloudfront_distribution.main.domain_name
     s3_bucket_name = aws_s3_bucket.website.id
@@ -80,6 +87,9 @@ REACT_APP_COGNITO_IDENTITY_POOL_ID=${aws_cognito_identity_pool.main.id}
 # Lambda API Configuration
 REACT_APP_LAMBDA_API_ENDPOINT=${aws_api_gateway_deployment.main.invoke_url}/api
 
+# Cognito group whose members see the Admin tab
+REACT_APP_ADMIN_GROUP_NAME=${aws_cognito_user_group.admin.name}
+
 # Environment indicator
 REACT_APP_ENVIRONMENT=production
 
@@ -42,6 +42,39 @@ resource "aws_cognito_user_pool_client" "main" {
   logout_urls   = ["https://${aws_cloudfront_distribution.main.domain_name}"]
 }
 
+# Members of this group get the admin role in the API. Add a user with
+# aws cognito-idp admin-add-user-to-group --user-pool-id <id> --username <email> --group-name admin
+resource "aws_cognito_user_group" "admin" {
+  name         = var.admin_group_name
+  user_pool_id = aws_cognito_user_pool.main.id
+  description  = "Administrators: user listing, moderation of flagged images and the audit trail"
+}
+
+# IAM policy for the Lambda to list and count users for the admin routes
+resource "aws_iam_policy" "lambda_cognito" {
+  name        = "${local.project_name}-lambda-cognito-policy"
+  description = "Policy for Lambda to list and count the users of the Cognito user pool"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["cognito-idp:ListUsers", "cognito-idp:DescribeUserPool"]
+        Resource = aws_cognito_user_pool.main.arn
+      }
+    ]
+  })
+
+  tags = local.common_tags
+}
+
+# Attach Cognito policy to Lambda role
+resource "aws_iam_role_policy_attachment" "lambda_cognito" {
+  role       = aws_iam_role.lambda_exec.name
+  policy_arn = aws_iam_policy.lambda_cognito.arn
+}
+
 # Cognito Identity Pool
 resource "aws_cognito_identity_pool" "main" {
   identity_pool_name = "${local.project_name}-identity-pool"
@@ -20,6 +20,16 @@ resource "aws_dynamodb_table" "saved_images" {
     type = "S"
   }
 
+  attribute {
+    name = "rating_rank"
+    type = "S"
+  }
+
+  attribute {
+    name = "favorite_user_id"
+    type = "S"
+  }
+
   # Global Secondary Index for querying by user
   global_secondary_index {
     name            = "user-index"
@@ -28,6 +38,24 @@ resource "aws_dynamodb_table" "saved_images" {
     projection_type = "ALL"
   }
 
+  # Global Secondary Index for listing a user's images by rating
+  # (rating_rank is "<rating>#<created_at>", unrated images rank as 0)
+  global_secondary_index {
+    name            = "user-rating-index"
+    hash_key        = "user_id"
+    range_key       = "rating_rank"
+    projection_type = "ALL"
+  }
+
+  # Sparse Global Secondary Index of favorites: favorite_user_id is only set
+  # while an image is pinned as a favorite
+  global_secondary_index {
+    name            = "favorites-index"
+    hash_key        = "favorite_user_id"
+    range_key       = "rating_rank"
+    projection_type = "ALL"
+  }
+
   # Enable point-in-time recovery
   point_in_time_recovery {
     enabled = true
@@ -41,10 +69,212 @@ resource "aws_dynamodb_table" "saved_images" {
   tags = local.common_tags
 }
 
+# DynamoDB table for idempotency records: guards that keep saved images unique
+# per user and image URL, and stored responses for client Idempotency-Key headers
+resource "aws_dynamodb_table" "idempotency" {
+  name         = "${local.project_name}-idempotency"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "idempotency_key"
+
+  attribute {
+    name = "idempotency_key"
+    type = "S"
+  }
+
+  # Stored Idempotency-Key responses expire; saved image guards have no expiry
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
+# DynamoDB table for named collections (albums) of saved images.
+# Partitioned by user; sk is COLLECTION#<id> for a collection and
+# MEMBER#<collection id>#<image id> for an image in a manual collection.
+resource "aws_dynamodb_table" "collections" {
+  name         = "${local.project_name}-collections"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+  range_key    = "sk"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "sk"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
+# DynamoDB table for public share links. The random share token is the key,
+# so the unauthenticated share route resolves a link with a single read.
+resource "aws_dynamodb_table" "shares" {
+  name         = "${local.project_name}-shares"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "share_token"
+
+  attribute {
+    name = "share_token"
+    type = "S"
+  }
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "created_at"
+    type = "S"
+  }
+
+  # Global Secondary Index for listing a user's share links
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
+  # Links with an expiry are removed by TTL; the Lambda also checks expires_at
+  # because TTL deletion can lag
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
+# DynamoDB table for per-user quota counters: saved-images#<user> holds the
+# number of images a user keeps; rate#<user>#<minute> and random#<user>#<day>
+# count requests and random images within a window and expire through TTL.
+resource "aws_dynamodb_table" "quotas" {
+  name         = "${local.project_name}-quotas"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "quota_key"
+
+  attribute {
+    name = "quota_key"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
+# DynamoDB table for images users flagged as inappropriate or broken, one item
+# per image URL (flag_id is a hash of it), listed by status for admin review
+resource "aws_dynamodb_table" "flags" {
+  name         = "${local.project_name}-flags"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "flag_id"
+
+  attribute {
+    name = "flag_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "last_flagged_at"
+    type = "S"
+  }
+
+  # Global Secondary Index for listing flags by status, most recently flagged first
+  global_secondary_index {
+    name            = "status-index"
+    hash_key        = "status"
+    range_key       = "last_flagged_at"
+    projection_type = "ALL"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
+# DynamoDB table for the audit trail of admin calls, partitioned by UTC day
+# (audit_date) and sorted by time (sk is <timestamp>#<request id>)
+resource "aws_dynamodb_table" "audit" {
+  name         = "${local.project_name}-audit"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "audit_date"
+  range_key    = "sk"
+
+  attribute {
+    name = "audit_date"
+    type = "S"
+  }
+
+  attribute {
+    name = "sk"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = local.common_tags
+}
+
 # IAM policy for Lambda to access DynamoDB
 resource "aws_iam_policy" "lambda_dynamodb" {
   name        = "${local.project_name}-lambda-dynamodb-policy"
-  description = "Policy for Lambda to access DynamoDB saved images table"
+  description = "Policy for Lambda to access the DynamoDB saved images, idempotency, collections, shares, quotas, flags and audit tables"
 
   policy = jsonencode({
     Version = "2012-10-17"
@@ -57,11 +287,21 @@ resource "aws_iam_policy" "lambda_dynamodb" {
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
           "dynamodb:Query",
-          "dynamodb:Scan"
+          "dynamodb:Scan",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem"
         ]
         Resource = [
           aws_dynamodb_table.saved_images.arn,
-          "${aws_dynamodb_table.saved_images.arn}/index/*"
+          "${aws_dynamodb_table.saved_images.arn}/index/*",
+          aws_dynamodb_table.idempotency.arn,
+          aws_dynamodb_table.collections.arn,
+          aws_dynamodb_table.shares.arn,
+          "${aws_dynamodb_table.shares.arn}/index/*",
+          aws_dynamodb_table.quotas.arn,
+          aws_dynamodb_table.flags.arn,
+          "${aws_dynamodb_table.flags.arn}/index/*",
+          aws_dynamodb_table.audit.arn
         ]
       }
     ]
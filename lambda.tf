@@ -1,6 +1,16 @@
 # Get current AWS region
 data "aws_region" "current" {}
 
+# Origins allowed to call the API from a browser: the CloudFront site, the
+# React dev server in dev, and any extra origins from the variable
+locals {
+  cors_allowed_origins = concat(
+    ["https://${aws_cloudfront_distribution.main.domain_name}"],
+    local.environment == "dev" ? ["http://localhost:3000"] : [],
+    var.cors_allowed_origins
+  )
+}
+
 # Lambda function for authenticated API
 resource "aws_lambda_function" "api" {
   filename         = "lambda.zip"
@@ -9,7 +19,8 @@ resource "aws_lambda_function" "api" {
   handler         = "index.handler"
   runtime         = "nodejs18.x"
   timeout         = 30
-  memory_size     = 128
+  # Room for decoding full-size images when making thumbnails
+  memory_size     = 512
 
   environment {
     variables = {
@@ -18,6 +29,25 @@ resource "aws_lambda_function" "api" {
       COGNITO_CLIENT_ID = aws_cognito_user_pool_client.main.id
       REGION = data.aws_region.current.name
       DYNAMODB_TABLE_NAME = aws_dynamodb_table.saved_images.name
+      IDEMPOTENCY_TABLE_NAME = aws_dynamodb_table.idempotency.name
+      COLLECTIONS_TABLE_NAME = aws_dynamodb_table.collections.name
+      SHARES_TABLE_NAME = aws_dynamodb_table.shares.name
+      QUOTAS_TABLE_NAME = aws_dynamodb_table.quotas.name
+      FLAGS_TABLE_NAME = aws_dynamodb_table.flags.name
+      AUDIT_TABLE_NAME = aws_dynamodb_table.audit.name
+      ADMIN_GROUP_NAME = aws_cognito_user_group.admin.name
+      EXPORTS_BUCKET_NAME = aws_s3_bucket.exports.bucket
+      IMAGES_BUCKET_NAME = aws_s3_bucket.images.bucket
+      PAGINATION_TOKEN_SECRET = random_password.pagination_token_secret.result
+      IMAGE_PROVIDERS = join(",", var.image_providers)
+      ALLOWED_IMAGE_HOSTS = join(",", var.allowed_image_hosts)
+      CORS_ALLOWED_ORIGINS = join(",", local.cors_allowed_origins)
+      LOG_LEVEL = var.log_level
+      LOG_REDACT_FIELDS = join(",", var.log_redact_fields)
+      METRICS_NAMESPACE = var.metrics_namespace
+      RATE_LIMIT_PER_MINUTE = var.rate_limit_per_minute
+      RANDOM_FETCH_DAILY_LIMIT = var.random_fetch_daily_limit
+      MAX_SAVED_IMAGES_PER_USER = var.max_saved_images_per_user
     }
   }
 
@@ -28,6 +58,12 @@ resource "aws_lambda_function" "api" {
   ]
 }
 
+# Secret used by the Lambda to sign saved-images pagination cursors
+resource "random_password" "pagination_token_secret" {
+  length  = 48
+  special = false
+}
+
 # IAM role for Lambda execution
 resource "aws_iam_role" "lambda_exec" {
   name = "${local.project_name}-lambda-exec-role"
@@ -61,8 +97,8 @@ resource "aws_lambda_function_url" "api" {
 
   cors {
     allow_credentials = true
-    allow_origins     = ["*"]
-    allow_methods     = ["GET", "POST"]
+    allow_origins     = local.cors_allowed_origins
+    allow_methods     = ["GET", "POST", "PUT", "PATCH", "DELETE"]
     allow_headers     = ["*"]
     expose_headers    = ["*"]
     max_age          = 86400
@@ -76,3 +112,63 @@ resource "aws_cloudwatch_log_group" "lambda" {
 
   tags = local.common_tags
 }
+
+# Alarm when the Dog API is slow for the deployed stage. The metric comes from
+# the Embedded Metric Format documents the Lambda writes to its log group.
+resource "aws_cloudwatch_metric_alarm" "dog_api_latency" {
+  alarm_name          = "${local.project_name}-dog-api-latency"
+  alarm_description   = "p90 Dog API latency is above ${var.dog_api_latency_alarm_ms} ms"
+  namespace           = var.metrics_namespace
+  metric_name         = "DogApiLatency"
+  dimensions = {
+    Stage = aws_api_gateway_deployment.main.stage_name
+  }
+  extended_statistic  = "p90"
+  period              = 300
+  evaluation_periods  = 3
+  datapoints_to_alarm = 2
+  threshold           = var.dog_api_latency_alarm_ms
+  comparison_operator = "GreaterThanThreshold"
+  treat_missing_data  = "notBreaching"
+
+  tags = local.common_tags
+}
+
+# Alarm on spikes of server-side errors: unexpected exceptions and Dog API failures
+resource "aws_cloudwatch_metric_alarm" "server_errors" {
+  alarm_name          = "${local.project_name}-server-errors"
+  alarm_description   = "More than ${var.server_error_alarm_threshold} INTERNAL_ERROR or UPSTREAM_UNAVAILABLE responses in five minutes"
+  evaluation_periods  = 1
+  threshold           = var.server_error_alarm_threshold
+  comparison_operator = "GreaterThanThreshold"
+  treat_missing_data  = "notBreaching"
+
+  metric_query {
+    id          = "errors"
+    expression  = "FILL(internal, 0) + FILL(upstream, 0)"
+    label       = "Server errors"
+    return_data = true
+  }
+
+  dynamic "metric_query" {
+    for_each = {
+      internal = "INTERNAL_ERROR"
+      upstream = "UPSTREAM_UNAVAILABLE"
+    }
+    content {
+      id = metric_query.key
+      metric {
+        namespace   = var.metrics_namespace
+        metric_name = "Errors"
+        period      = 300
+        stat        = "Sum"
+        dimensions = {
+          Stage     = aws_api_gateway_deployment.main.stage_name
+          ErrorCode = metric_query.value
+        }
+      }
+    }
+  }
+
+  tags = local.common_tags
+}
@@ -0,0 +1,107 @@
+// Private S3 copies of saved images, so a saved dog still shows after the
+// upstream file is removed or renamed, and their thumbnails. Objects live under
+// images/<userId>/ (the copy as <imageId>, renditions as <imageId>.<name>.webp)
+// and are only read through short-lived pre-signed URLs.
+//
+// The S3 client is passed in, so the store works against any S3-compatible
+// endpoint (MinIO, LocalStack) or an in-memory stand-in.
+const crypto = require('crypto');
+
+// DeleteObjects accepts at most 1000 keys per call
+const DELETE_OBJECTS_LIMIT = 1000;
+
+// Content types accepted as images
+const IMAGE_CONTENT_TYPE_PATTERN = /^image\/(jpeg|png|gif|webp)$/;
+
+// Creates the image store. download(url) resolves to { data, contentType };
+// without a bucket the store is disabled and mirroring is skipped.
+function createImageStore({ s3, bucket, download, urlTtlSeconds = 15 * 60 }) {
+    const prefixFor = (userId) => `images/${userId}/`;
+
+    // Deletes mirrored objects by key
+    async function remove(keys) {
+        for (let start = 0; start < keys.length; start += DELETE_OBJECTS_LIMIT) {
+            await s3.deleteObjects({
+                Bucket: bucket,
+                Delete: {
+                    Objects: keys.slice(start, start + DELETE_OBJECTS_LIMIT).map((key) => ({ Key: key })),
+                    Quiet: true
+                }
+            }).promise();
+        }
+    }
+
+    return {
+        enabled: Boolean(bucket),
+
+        // Copies the image at imageUrl into the bucket. Resolves to the object's
+        // key, content type, size in bytes and SHA-256 checksum (hex), plus the
+        // downloaded bytes as data.
+        async mirror(userId, imageId, imageUrl) {
+            const { data, contentType } = await download(imageUrl);
+            const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+            if (!IMAGE_CONTENT_TYPE_PATTERN.test(mediaType)) {
+                throw new Error(`Not an image: ${mediaType || 'no content type'}`);
+            }
+
+            const key = `${prefixFor(userId)}${imageId}`;
+            const checksum = crypto.createHash('sha256').update(data).digest('hex');
+            await s3.putObject({
+                Bucket: bucket,
+                Key: key,
+                Body: data,
+                ContentType: mediaType,
+                ContentMD5: crypto.createHash('md5').update(data).digest('base64'),
+                Metadata: { sha256: checksum }
+            }).promise();
+
+            return { key: key, contentType: mediaType, size: data.length, checksum: checksum, data: data };
+        },
+
+        // Stores a rendition ({ name, data, contentType }) of a mirrored image and
+        // resolves to its key
+        async putRendition(userId, imageId, rendition) {
+            const key = `${prefixFor(userId)}${imageId}.${rendition.name}.webp`;
+            await s3.putObject({
+                Bucket: bucket,
+                Key: key,
+                Body: rendition.data,
+                ContentType: rendition.contentType
+            }).promise();
+            return key;
+        },
+
+        // Reads a stored object into a Buffer
+        async read(key) {
+            const object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+            return object.Body;
+        },
+
+        // Pre-signed GET URL for a mirrored object
+        signedUrl(key) {
+            return s3.getSignedUrl('getObject', { Bucket: bucket, Key: key, Expires: urlTtlSeconds });
+        },
+
+        remove: remove,
+
+        // Deletes every mirrored object of a user. Resolves to the number removed.
+        async removeUser(userId) {
+            let removed = 0;
+            let continuationToken;
+            do {
+                const page = await s3.listObjectsV2({
+                    Bucket: bucket,
+                    Prefix: prefixFor(userId),
+                    ContinuationToken: continuationToken
+                }).promise();
+                const keys = (page.Contents || []).map((object) => object.Key);
+                await remove(keys);
+                removed += keys.length;
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return removed;
+        }
+    };
+}
+
+module.exports = { createImageStore };
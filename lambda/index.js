@@ -1,448 +1,4539 @@
 const https = require('https');
+const { PassThrough } = require('stream');
+const crypto = require('crypto');
 const AWS = require('aws-sdk');
+const { createMetrics } = require('./metrics');
+const { createProviders, formatBreedName } = require('./providers');
+const { createImageStore } = require('./image-store');
+const { createThumbnails } = require('./thumbnails');
+const { createZipWriter } = require('./zip');
+
+// Embedded Metric Format metrics, flushed to stdout once per invocation
+const metrics = createMetrics({ namespace: process.env.METRICS_NAMESPACE || 'DogApi' });
+
+// DocumentClient operations whose latency is recorded as DynamoDB<Operation>Latency
+const DYNAMODB_OPERATIONS = ['get', 'put', 'update', 'delete', 'query', 'scan', 'batchGet', 'batchWrite', 'transactGet', 'transactWrite'];
+
+// Helper function to wrap a DocumentClient so every request().promise() call
+// records its latency, whether it succeeds or fails
+function instrumentDocumentClient(client) {
+    const instrumented = Object.create(client);
+    DYNAMODB_OPERATIONS.forEach((operation) => {
+        const metricName = `DynamoDB${operation.charAt(0).toUpperCase()}${operation.slice(1)}Latency`;
+        instrumented[operation] = (params) => {
+            const request = client[operation](params);
+            return { promise: () => metrics.time(metricName, () => request.promise()) };
+        };
+    });
+    return instrumented;
+}
 
 // Initialize DynamoDB
-const dynamodb = new AWS.DynamoDB.DocumentClient();
+const dynamodb = instrumentDocumentClient(new AWS.DynamoDB.DocumentClient());
 const tableName = process.env.DYNAMODB_TABLE_NAME;
+const idempotencyTableName = process.env.IDEMPOTENCY_TABLE_NAME;
+const collectionsTableName = process.env.COLLECTIONS_TABLE_NAME;
+const sharesTableName = process.env.SHARES_TABLE_NAME;
+const quotasTableName = process.env.QUOTAS_TABLE_NAME;
+const flagsTableName = process.env.FLAGS_TABLE_NAME;
+const auditTableName = process.env.AUDIT_TABLE_NAME;
+
+// Cognito client for the admin user listing
+const cognito = new AWS.CognitoIdentityServiceProvider();
+const userPoolId = process.env.COGNITO_USER_POOL_ID;
+
+// S3 client for ZIP exports and mirrored images. S3_ENDPOINT points it at an
+// S3-compatible stand-in such as MinIO for local development and tests.
+const s3 = new AWS.S3({
+    signatureVersion: 'v4',
+    ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT, s3ForcePathStyle: true } : {})
+});
+const exportsBucketName = process.env.EXPORTS_BUCKET_NAME;
+
+// Downloads of upstream images are abandoned after DOWNLOAD_TIMEOUT_MS or once
+// they grow past MAX_DOWNLOAD_BYTES
+const DOWNLOAD_TIMEOUT_MS = 10 * 1000;
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+
+// Private copies of saved images in the IMAGES_BUCKET_NAME bucket, read through
+// pre-signed URLs valid for MIRROR_URL_TTL_SECONDS. Mirroring is skipped when
+// no bucket is configured.
+const MIRROR_URL_TTL_SECONDS = 15 * 60;
+
+// Items scanned per page by the backfill_mirror and backfill_thumbnails tasks.
+// Every item is downloaded, so small pages let a task stop in time and resume
+// from nextStartKey.
+const MIRROR_BACKFILL_PAGE_SIZE = 25;
+const imageStore = createImageStore({
+    s3: s3,
+    bucket: process.env.IMAGES_BUCKET_NAME,
+    download: (url) => downloadFile(url),
+    urlTtlSeconds: MIRROR_URL_TTL_SECONDS
+});
+
+// How long a stored Idempotency-Key response can be replayed
+const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// How long an Idempotency-Key stays claimed by a request that is still running.
+// Longer than the Lambda timeout, so a claim left by a crashed invocation lapses
+// and the key can be used again.
+const IDEMPOTENCY_CLAIM_TTL_SECONDS = 60;
+
+// Idempotency-Key values become part of a DynamoDB key, so they are limited to
+// a short, printable form (UUIDs and similar tokens fit)
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9._:-]+$/;
+
+// Per-user quotas, each read from the environment (0 turns a limit off):
+// - RATE_LIMIT_PER_MINUTE: authenticated requests per minute
+// - RANDOM_FETCH_DAILY_LIMIT: random images per UTC day
+// - MAX_SAVED_IMAGES_PER_USER: saved images kept at any time
+// Counters live in the quotas table; windowed ones expire through TTL
+// QUOTA_TTL_GRACE_SECONDS after their window ends.
+const RATE_LIMIT_PER_MINUTE = readQuotaLimit('RATE_LIMIT_PER_MINUTE', 120);
+const RANDOM_FETCH_DAILY_LIMIT = readQuotaLimit('RANDOM_FETCH_DAILY_LIMIT', 1000);
+const MAX_SAVED_IMAGES_PER_USER = readQuotaLimit('MAX_SAVED_IMAGES_PER_USER', 5000);
+const QUOTA_TTL_GRACE_SECONDS = 60 * 60;
+
+// Page sizes for the saved images listing
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// DynamoDB BatchWriteItem accepts at most 25 requests per call
+const BATCH_WRITE_LIMIT = 25;
+
+// Maximum number of saved images removed by one batch delete request
+const MAX_BATCH_DELETE = 25;
+
+// Image providers to fetch from, in order, as a comma-separated list in
+// IMAGE_PROVIDERS (see providers/index.js), and the number of images one random
+// fetch may return
+const IMAGE_PROVIDER_NAMES = (process.env.IMAGE_PROVIDERS || 'dog-ceo')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+const MAX_RANDOM_IMAGES = 20;
+
+// Each Dog API attempt is abandoned after DOG_API_TIMEOUT_MS. Failed attempts that
+// may succeed on a second try are retried with full-jitter exponential backoff.
+const DOG_API_TIMEOUT_MS = 2500;
+const DOG_API_MAX_ATTEMPTS = 3;
+const DOG_API_RETRY_BASE_DELAY_MS = 200;
+
+// Circuit breaker for the Dog API: after DOG_API_CIRCUIT_FAILURE_THRESHOLD failed
+// calls in a row, calls fail fast for DOG_API_CIRCUIT_OPEN_MS. The next call is a
+// single trial attempt whose outcome closes or re-opens the circuit.
+const DOG_API_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DOG_API_CIRCUIT_OPEN_MS = 30 * 1000;
+const dogApiCircuit = { failures: 0, openUntil: 0, trialInFlight: false };
+
+// Recently fetched images ({ url, provider, breed, subBreed }) kept by a warm
+// container. They are served, flagged as a fallback, when no provider can
+// supply a random image.
+const FALLBACK_POOL_SIZE = 50;
+const fallbackImagePool = [];
+
+// How long the breed catalog fetched from the providers is reused by a warm container
+const BREED_CATALOG_TTL_MS = 6 * 60 * 60 * 1000;
+let breedCatalogCache = null;
+
+// Saved image attributes a smart collection rule can match on
+const SMART_COLLECTION_FIELDS = ['breed', 'sub_breed'];
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+// Limits for the user-editable fields on a saved image
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Star ratings run from 1 to 5; unrated images rank as 0
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// Orders the saved images listing can be sorted in
+const SAVED_IMAGE_SORTS = ['newest', 'rating'];
+
+// Share links: how many images a link can list and how long it may live. The
+// scope (all, collection or images) follows from the body of the request.
+const MAX_SHARE_IMAGES = 100;
+const MAX_SHARE_EXPIRY_DAYS = 365;
+const MAX_SHARE_TITLE_LENGTH = 100;
+
+// Roles come from Cognito groups: members of ADMIN_GROUP_NAME get the admin
+// role, which the /admin routes require
+const ADMIN_GROUP_NAME = process.env.ADMIN_GROUP_NAME || 'admin';
+
+// Image flags raised by users and reviewed by admins
+const FLAG_REASONS = ['inappropriate', 'broken'];
+const FLAG_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_FLAG_NOTE_LENGTH = 500;
+
+// Users per page of the admin user listing (Cognito ListUsers returns at most 60)
+const MAX_ADMIN_USERS_PAGE_SIZE = 60;
+const MAX_ADMIN_USER_SEARCH_LENGTH = 100;
+
+// Days of saves per day shown by the admin stats route
+const DEFAULT_STATS_DAYS = 14;
+const MAX_STATS_DAYS = 90;
+
+// Data export: formats, the fields of each record (in CSV column order), and
+// limits for ZIP archives, which bundle the image files themselves
+const EXPORT_FORMATS = ['json', 'csv', 'zip'];
+const EXPORT_FIELDS = ['id', 'image_url', 'breed', 'sub_breed', 'breed_display_name', 'description', 'notes', 'tags', 'rating', 'favorite', 'created_at'];
+const MAX_ZIP_EXPORT_IMAGES = 100;
+const ZIP_DOWNLOAD_CONCURRENCY = 6;
+const EXPORT_URL_TTL_SECONDS = 15 * 60;
+
+// A ZIP export is built while the request waits, and API Gateway gives up after
+// 29 seconds. The archive is streamed to S3 as images arrive; downloads stop
+// after ZIP_DOWNLOAD_BUDGET_MS (each within ZIP_DOWNLOAD_TIMEOUT_MS) or once the
+// images reach MAX_ZIP_EXPORT_BYTES, leaving time to finish the upload. Images
+// left out are listed in the manifest without a file.
+const ZIP_DOWNLOAD_BUDGET_MS = 18 * 1000;
+const ZIP_DOWNLOAD_TIMEOUT_MS = 4 * 1000;
+const MAX_ZIP_EXPORT_BYTES = 50 * 1024 * 1024;
+const ZIP_UPLOAD_RESERVE_MS = 8 * 1000;
+
+// JSON and CSV exports are returned in the response body, which Lambda caps at
+// 6 MB; larger collections have to be exported as ZIP
+const MAX_EXPORT_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+// Bulk import: accepted formats (the JSON and CSV exports), rows per request,
+// and rows written per transaction (each row is an item plus its guard)
+const IMPORT_FORMATS = ['json', 'csv'];
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_TRANSACTION_ROWS = 25;
+
+const MAX_IMAGE_URL_LENGTH = 2048;
+
+// Size limits for request values that are not covered by a more specific limit
+const MAX_ID_LENGTH = 256;
+const MAX_PAGE_TOKEN_LENGTH = 2048;
+const MAX_SAVE_COLLECTIONS = 20;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_IMPORT_DATA_LENGTH = 4 * 1024 * 1024;
+
+// Key used to sign pagination cursors. Without a configured secret a per-container
+// key is used, so cursors stay valid only until the next cold start.
+const paginationSecret = process.env.PAGINATION_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Structured logging. Each entry is written as one JSON line holding the level,
+// time, message, the context of the current request and any extra fields, so
+// CloudWatch Logs Insights can query them. LOG_LEVEL sets the lowest level
+// written: debug, info (default), warn or error.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLogLevel = LOG_LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LOG_LEVELS.info;
+
+// Fields whose values are replaced before an entry is written, matched by name
+// (case-insensitive) at any depth. LOG_REDACT_FIELDS adds more, comma separated.
+const REDACTED_LOG_FIELDS = new Set([
+    'authorization', 'cookie', 'set-cookie', 'x-amz-security-token',
+    'token', 'idtoken', 'accesstoken', 'refreshtoken', 'password',
+    'email', 'confirmemail',
+    ...(process.env.LOG_REDACT_FIELDS || '').split(',').map((field) => field.trim().toLowerCase()).filter(Boolean)
+]);
+// Tokens and email addresses are also masked inside free text such as error messages
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+// Request fields added to every entry: requestId, correlationId, userSub, method
+// and route. A container serves one request at a time, so this is reset per invocation.
+let logContext = {};
+
+// Helper function to copy a value for logging with secrets masked
+function redactForLog(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(JWT_PATTERN, '[REDACTED]').replace(EMAIL_PATTERN, '[REDACTED]');
+    }
+    if (value instanceof Error) {
+        return redactForLog({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 8) {
+        return '[TRUNCATED]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redactForLog(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = REDACTED_LOG_FIELDS.has(key.toLowerCase()) ? '[REDACTED]' : redactForLog(item, depth + 1);
+    }
+    return copy;
+}
+
+// Helper function to write one log entry. It goes straight to stdout so the
+// Lambda runtime does not prefix the line and it stays valid JSON.
+function writeLog(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < minLogLevel) {
+        return;
+    }
+    const entry = redactForLog({
+        level: level,
+        time: new Date().toISOString(),
+        message: message,
+        ...logContext,
+        ...fields
+    });
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+    debug: (message, fields) => writeLog('debug', message, fields),
+    info: (message, fields) => writeLog('info', message, fields),
+    warn: (message, fields) => writeLog('warn', message, fields),
+    error: (message, fields) => writeLog('error', message, fields)
+};
+
+// Error with an HTTP status and a stable, machine-readable code. Its message is
+// shown to clients, so it must not carry internal details; details holds extra
+// fields for the response body and headers extra response headers. Any other
+// error a handler throws is logged and answered as INTERNAL_ERROR.
+class ApiError extends Error {
+    constructor(statusCode, code, message, details = {}, headers = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+// The configured image providers. The Dog API provider fetches through
+// makeHttpRequest, so it gets the timeouts, retries and circuit breaker below.
+const imageProviders = createProviders(IMAGE_PROVIDER_NAMES, {
+    fetchJson: makeHttpRequest,
+    unavailable: (message) => new ApiError(502, 'UPSTREAM_UNAVAILABLE', message),
+    logger: logger
+});
+
+// Saved image URLs must use https and point at one of these hosts, given as a
+// comma-separated list in ALLOWED_IMAGE_HOSTS. Defaults to the hosts of the
+// configured providers.
+const ALLOWED_IMAGE_HOSTS = (process.env.ALLOWED_IMAGE_HOSTS || imageProviders.flatMap((provider) => provider.imageHosts).join(','))
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Helper function to build an UPSTREAM_UNAVAILABLE error, marked with whether
+// the failed attempt is worth retrying
+function upstreamError(message, retryable) {
+    const error = new ApiError(502, 'UPSTREAM_UNAVAILABLE', message);
+    error.retryable = retryable;
+    return error;
+}
+
+// Helper function to make one GET request to the Dog API. The request is aborted
+// after DOG_API_TIMEOUT_MS, and only JSON responses with a 2xx status (or the 404
+// the Dog API returns for an unknown breed) are parsed. Timeouts, network errors,
+// 429 and 5xx responses are retryable. The latency is recorded as DogApiLatency.
+function requestDogApi(url) {
+    return metrics.time('DogApiLatency', () => new Promise((resolve, reject) => {
+        let timer = null;
+        const finish = (error, value) => {
+            clearTimeout(timer);
+            if (error) {
+                reject(error);
+            } else {
+                resolve(value);
+            }
+        };
+
+        const request = https.get(url, (res) => {
+            const statusCode = res.statusCode;
+            const contentType = res.headers['content-type'] || '';
+            if ((statusCode < 200 || statusCode >= 300) && statusCode !== 404) {
+                res.resume();
+                logger.warn('Dog API returned an error status', { url: url, statusCode: statusCode });
+                finish(upstreamError(`The Dog API responded with status ${statusCode}`, statusCode === 429 || statusCode >= 500));
+                return;
+            }
+            if (!/^application\/json\b/i.test(contentType)) {
+                res.resume();
+                logger.warn('Dog API returned an unexpected content type', { url: url, statusCode: statusCode, contentType: contentType });
+                finish(upstreamError('The Dog API returned an invalid response', false));
+                return;
+            }
 
-// Helper function to make HTTP requests
-function makeHttpRequest(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
             let data = '';
-            
             res.on('data', (chunk) => {
                 data += chunk;
             });
-            
             res.on('end', () => {
                 try {
-                    const jsonData = JSON.parse(data);
-                    resolve(jsonData);
+                    finish(null, JSON.parse(data));
                 } catch (error) {
-                    reject(new Error('Invalid JSON response'));
+                    logger.warn('Dog API returned invalid JSON', { url: url, statusCode: statusCode });
+                    finish(upstreamError('The Dog API returned an invalid response', false));
+                }
+            });
+        });
+
+        request.on('error', (error) => {
+            logger.warn('Dog API request failed', { url: url, error: error });
+            finish(upstreamError('The Dog API could not be reached', true));
+        });
+        timer = setTimeout(() => {
+            request.destroy(new Error(`Dog API request timed out after ${DOG_API_TIMEOUT_MS} ms`));
+        }, DOG_API_TIMEOUT_MS);
+    }));
+}
+
+// Helper function to update the circuit breaker after a failed call. A failed
+// trial re-opens the circuit straight away.
+function recordDogApiFailure(trial) {
+    dogApiCircuit.failures += 1;
+    if (trial || dogApiCircuit.failures >= DOG_API_CIRCUIT_FAILURE_THRESHOLD) {
+        dogApiCircuit.openUntil = Date.now() + DOG_API_CIRCUIT_OPEN_MS;
+        metrics.count('DogApiCircuitOpened');
+        logger.warn('Dog API circuit opened', { failures: dogApiCircuit.failures, openForMs: DOG_API_CIRCUIT_OPEN_MS });
+    }
+}
+
+// Helper function to close the circuit breaker after a successful call
+function recordDogApiSuccess() {
+    if (dogApiCircuit.openUntil) {
+        logger.info('Dog API circuit closed', { failures: dogApiCircuit.failures });
+    }
+    dogApiCircuit.failures = 0;
+    dogApiCircuit.openUntil = 0;
+}
+
+// Helper function to make HTTP requests to the Dog API through the circuit breaker.
+// Every call is an idempotent GET, so retryable failures are retried with backoff.
+// Failures are reported as UPSTREAM_UNAVAILABLE.
+async function makeHttpRequest(url) {
+    const trial = dogApiCircuit.openUntil !== 0;
+    if (trial && (Date.now() < dogApiCircuit.openUntil || dogApiCircuit.trialInFlight)) {
+        metrics.count('DogApiCircuitRejections');
+        throw upstreamError('The Dog API is temporarily unavailable', false);
+    }
+
+    dogApiCircuit.trialInFlight = trial;
+    const maxAttempts = trial ? 1 : DOG_API_MAX_ATTEMPTS;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await requestDogApi(url);
+                recordDogApiSuccess();
+                return result;
+            } catch (error) {
+                if (!error.retryable || attempt >= maxAttempts) {
+                    recordDogApiFailure(trial);
+                    throw error;
+                }
+                metrics.count('DogApiRetries');
+                const delay = Math.random() * DOG_API_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+    } finally {
+        if (trial) {
+            dogApiCircuit.trialInFlight = false;
+        }
+    }
+}
+
+// Helper function to download a file such as a dog image. Resolves to
+// { data, contentType } with the body in a Buffer. The whole download must
+// finish within timeoutMs.
+function downloadFile(url, timeoutMs = DOWNLOAD_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, (res) => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                reject(new Error(`Download failed with status ${res.statusCode}`));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_DOWNLOAD_BYTES) {
+                    request.destroy(new Error(`Download is larger than ${MAX_DOWNLOAD_BYTES} bytes`));
+                    return;
                 }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve({ data: Buffer.concat(chunks), contentType: res.headers['content-type'] || null });
             });
-        }).on('error', (error) => {
+        });
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`Download timed out after ${timeoutMs} ms`));
+        }, timeoutMs);
+        request.on('error', (error) => {
+            clearTimeout(timer);
             reject(error);
         });
     });
 }
 
-// Helper function to save image to DynamoDB
-async function saveImageToDynamoDB(userId, dogData) {
-    const timestamp = new Date().toISOString();
-    const breed = extractBreedFromUrl(dogData.message);
+// Helper function to build the id of a saved image. The id is derived from the
+// user and the image URL, so saving the same image twice targets the same item.
+function buildSavedImageId(userId, imageUrl) {
+    const hash = crypto.createHash('sha256').update(imageUrl).digest('hex').slice(0, 32);
+    return `${userId}-${hash}`;
+}
+
+// Sort key of the rating index: rating first, then newest within a rating
+function buildRatingRank(rating, createdAt) {
+    return `${rating || 0}#${createdAt}`;
+}
+
+// Key of the record in the idempotency table that reserves a saved image id
+function savedImageGuardKey(imageId) {
+    return `saved-image#${imageId}`;
+}
+
+// Helper function to tell whether a DynamoDB error was caused by a failed condition
+function isConditionalCheckFailure(error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+        return true;
+    }
+    return error.code === 'TransactionCanceledException' && /ConditionalCheckFailed/.test(error.message);
+}
+
+// Helper function to read the reason each item of a cancelled transaction gave,
+// in request order (e.g. ['ConditionalCheckFailed', 'None']), from its message
+function transactionCancellationReasons(error) {
+    const match = error.code === 'TransactionCanceledException' && /\[([^\]]*)\]\s*$/.exec(error.message);
+    return match ? match[1].split(',').map((reason) => reason.trim()) : [];
+}
+
+// Helper function to build a saved image item. fields may carry values from an
+// import (breed, subBreed, description, notes, tags, rating, favorite, createdAt)
+// and the provider that served the image; anything missing gets the defaults of
+// a fresh save. The item records the provider the image URL belongs to.
+function buildSavedImageItem(userId, imageUrl, fields = {}) {
+    const createdAt = fields.createdAt || new Date().toISOString();
+    const image = describeImageUrl(imageUrl, fields.provider);
+    const breed = fields.breed
+        ? { breed: fields.breed, subBreed: fields.subBreed || null, displayName: breedDisplayName(image.provider, fields.breed, fields.subBreed || null) }
+        : image;
+    const rating = fields.rating || null;
+
     const item = {
-        id: `${userId}-${Date.now()}`, // Unique ID combining user ID and timestamp
+        id: buildSavedImageId(userId, imageUrl),
         user_id: userId,
-        created_at: timestamp,
-        image_url: dogData.message,
-        status: dogData.status,
-        breed: breed,
-        description: dogData.description || `A beautiful ${breed} dog from the Dog API collection`
+        created_at: createdAt,
+        image_url: imageUrl,
+        provider: image.provider,
+        status: 'success',
+        breed: breed.breed,
+        sub_breed: breed.subBreed,
+        breed_display_name: breed.displayName,
+        description: fields.description || defaultDescription(breed.displayName),
+        notes: fields.notes || '',
+        tags: fields.tags || [],
+        rating: rating,
+        favorite: Boolean(fields.favorite),
+        rating_rank: buildRatingRank(rating, createdAt),
+        version: 1
     };
+    if (item.favorite) {
+        item.favorite_user_id = userId;
+    }
+    return item;
+}
 
-    console.log('Saving image to DynamoDB:', {
-        userId: userId,
-        imageUrl: dogData.message,
-        breed: item.breed,
-        tableName: tableName
-    });
+// Helper function to save image to DynamoDB
+async function saveImageToDynamoDB(userId, dogData) {
+    const item = buildSavedImageItem(userId, dogData.message, { description: dogData.description, provider: dogData.provider });
+    item.status = dogData.status;
 
-    const params = {
-        TableName: tableName,
-        Item: item
-    };
+    // Repeated saves return the stored item without downloading the image again;
+    // the guard in putSavedImage still settles saves that race past this check.
+    // Images saved before ids were derived from the URL have no guard record and
+    // are found by their URL.
+    const existing = await findSavedImageByUrl(userId, item.image_url);
+    if (existing) {
+        logger.info('Image already saved', { imageId: existing.id });
+        metrics.count('DuplicateSaves');
+        return { item: existing, created: false };
+    }
+
+    await ensureSavedImageCounter(userId);
+    Object.assign(item, await mirrorSavedImage(item));
+    const result = await putSavedImage(item);
+    metrics.count(result.created ? 'ImagesSaved' : 'DuplicateSaves');
+    if (result.created) {
+        await recordDailySaves(1);
+    }
+    return result;
+}
 
+// Helper function to render and store the thumbnails of a saved image from its
+// bytes. Resolves to the width, height and thumbnails attributes to store on the
+// item, or to {} when rendering fails; the backfill_thumbnails task retries it.
+async function buildThumbnails(item, data) {
     try {
-        console.log('DynamoDB put params:', JSON.stringify(params, null, 2));
-        await dynamodb.put(params).promise();
-        console.log('✅ Image saved to DynamoDB:', item.id);
-        return item;
+        const result = await createThumbnails(data);
+        const thumbnails = {};
+        for (const rendition of result.renditions) {
+            thumbnails[rendition.name] = {
+                key: await imageStore.putRendition(item.user_id, item.id, rendition),
+                width: rendition.width,
+                height: rendition.height
+            };
+        }
+        metrics.count('ThumbnailsCreated');
+        return { width: result.width, height: result.height, thumbnails: thumbnails };
     } catch (error) {
-        console.error('❌ Error saving to DynamoDB:', error);
-        throw error;
+        logger.warn('Creating thumbnails failed', { imageId: item.id, error: error });
+        metrics.count('ThumbnailFailures');
+        return {};
     }
 }
 
-// Helper function to get saved images for a user
-async function getSavedImages(userId, limit = 10) {
-    const params = {
-        TableName: tableName,
-        IndexName: 'user-index',
-        KeyConditionExpression: 'user_id = :userId',
-        ExpressionAttributeValues: {
-            ':userId': userId
-        },
-        ScanIndexForward: false, // Sort by created_at descending (newest first)
-        Limit: limit
-    };
-
+// Helper function to copy a saved image into the mirror bucket and make its
+// thumbnails. Resolves to the mirror_* (and width, height, thumbnails) attributes
+// to store on the item, or to {} when mirroring is disabled or fails; a failed
+// copy does not fail the save and can be retried with the backfill_mirror task.
+async function mirrorSavedImage(item) {
+    if (!imageStore.enabled) {
+        return {};
+    }
+    let mirror;
     try {
-        const result = await dynamodb.query(params).promise();
-        console.log(`📸 Retrieved ${result.Items.length} saved images for user ${userId}`);
-        return result.Items;
+        mirror = await imageStore.mirror(item.user_id, item.id, item.image_url);
+        metrics.count('ImagesMirrored');
     } catch (error) {
-        console.error('❌ Error retrieving saved images:', error);
-        throw error;
+        logger.warn('Mirroring image failed', { imageId: item.id, imageUrl: item.image_url, error: error });
+        metrics.count('MirrorFailures');
+        return {};
+    }
+
+    return {
+        mirror_key: mirror.key,
+        mirror_content_type: mirror.contentType,
+        mirror_size: mirror.size,
+        mirror_sha256: mirror.checksum,
+        ...await buildThumbnails(item, mirror.data)
+    };
+}
+
+// Helper function to add short-lived signed URLs of the mirrored copy and its
+// thumbnails to a saved image returned to its owner: mirror_url, thumbnail_url
+// (the small rendition) and a url on each entry of thumbnails
+function withImageUrls(item) {
+    if (!item.mirror_key) {
+        return item;
     }
+    const result = { ...item, mirror_url: imageStore.signedUrl(item.mirror_key) };
+    if (item.thumbnails) {
+        result.thumbnails = {};
+        Object.entries(item.thumbnails).forEach(([name, thumbnail]) => {
+            result.thumbnails[name] = { ...thumbnail, url: imageStore.signedUrl(thumbnail.key) };
+        });
+        result.thumbnail_url = result.thumbnails.small ? result.thumbnails.small.url : null;
+    }
+    return result;
 }
 
-// Helper function to extract breed from image URL
-function extractBreedFromUrl(url) {
+// Helper function to delete mirrored copies and their thumbnails. The saved items
+// are already gone, so a failure only leaves orphaned objects behind and is logged.
+async function removeMirroredImages(items) {
+    const keys = items.flatMap((item) => [
+        item.mirror_key,
+        ...Object.values(item.thumbnails || {}).map((thumbnail) => thumbnail.key)
+    ]).filter(Boolean);
+    if (!imageStore.enabled || keys.length === 0) {
+        return;
+    }
     try {
-        // Extract breed from URL like: https://images.dog.ceo/breeds/retriever-golden/n02099601_1004.jpg
-        const match = url.match(/breeds\/([^\/]+)\//);
-        return match ? match[1].replace(/-/g, ' ') : 'unknown';
+        await imageStore.remove(keys);
     } catch (error) {
-        return 'unknown';
+        logger.warn('Deleting mirrored images failed', { keys: keys.length, error: error });
     }
 }
 
-// Helper function to delete image from DynamoDB
-async function deleteImageFromDynamoDB(userId, imageUrl) {
-    // First, find the image by querying the user-index
-    const queryParams = {
-        TableName: tableName,
-        IndexName: 'user-index',
-        KeyConditionExpression: 'user_id = :userId',
-        FilterExpression: 'image_url = :imageUrl',
-        ExpressionAttributeValues: {
-            ':userId': userId,
-            ':imageUrl': imageUrl
-        }
+// Helper function to write a saved image item. Saves are idempotent per user and
+// image URL: the item is written together with a guard record whose conditional
+// put fails when the image was already saved, in which case the existing item
+// is returned with created set to false. The user's saved images counter is
+// incremented in the same transaction, which throws SAVED_IMAGES_LIMIT_REACHED
+// when the user is at the cap.
+async function putSavedImage(item, retryStaleGuard = true) {
+    logger.debug('Saving image', { imageId: item.id, imageUrl: item.image_url, breed: item.breed });
+
+    const params = {
+        TransactItems: [
+            {
+                Put: {
+                    TableName: idempotencyTableName,
+                    Item: {
+                        idempotency_key: savedImageGuardKey(item.id),
+                        user_id: item.user_id,
+                        image_id: item.id,
+                        created_at: item.created_at
+                    },
+                    ConditionExpression: 'attribute_not_exists(idempotency_key)'
+                }
+            },
+            {
+                Put: {
+                    TableName: tableName,
+                    Item: item
+                }
+            },
+            {
+                Update: savedImageCounterUpdate(item.user_id, 1)
+            }
+        ]
     };
 
     try {
-        const queryResult = await dynamodb.query(queryParams).promise();
-        
-        if (queryResult.Items.length === 0) {
-            throw new Error('Image not found in saved collection');
+        await dynamodb.transactWrite(params).promise();
+        logger.info('Image saved', { imageId: item.id });
+        return { item: item, created: true };
+    } catch (error) {
+        if (!isConditionalCheckFailure(error)) {
+            logger.error('Saving image failed', { imageId: item.id, error: error });
+            throw error;
         }
 
-        // Delete the image using the primary key
-        const deleteParams = {
-            TableName: tableName,
-            Key: {
-                id: queryResult.Items[0].id,
-                created_at: queryResult.Items[0].created_at
-            }
-        };
+        // Only the counter's condition failed: a new image over the cap
+        const reasons = transactionCancellationReasons(error);
+        if (reasons[0] !== 'ConditionalCheckFailed' && reasons[2] === 'ConditionalCheckFailed') {
+            await removeMirroredImages([item]);
+            throw savedImagesLimitError();
+        }
 
-        await dynamodb.delete(deleteParams).promise();
-        console.log('✅ Image deleted from DynamoDB:', queryResult.Items[0].id);
-        return { success: true, deletedId: queryResult.Items[0].id };
-    } catch (error) {
-        console.error('❌ Error deleting from DynamoDB:', error);
-        throw error;
+        const existing = await findSavedImageById(item.user_id, item.id);
+        if (existing) {
+            logger.info('Image already saved', { imageId: existing.id });
+            return { item: existing, created: false };
+        }
+
+        // The guard outlived its item (e.g. an interrupted delete): drop it and try once more
+        if (!retryStaleGuard) {
+            throw error;
+        }
+        await dynamodb.delete({
+            TableName: idempotencyTableName,
+            Key: { idempotency_key: savedImageGuardKey(item.id) }
+        }).promise();
+        return putSavedImage(item, false);
     }
 }
 
-exports.handler = async (event) => {
-    console.log('🚀 Lambda function invoked');
-    console.log('📅 Timestamp:', new Date().toISOString());
-    console.log('🔍 HTTP Method:', event.httpMethod);
-    console.log('🔍 Path:', event.path);
-    console.log('🔍 Request ID:', event.requestContext?.requestId);
-    console.log('🔍 Event structure:', JSON.stringify(event, null, 2));
-    
-    // Extract user information from API Gateway context (set by Cognito Authorizer)
-    const userInfo = event.requestContext?.authorizer?.claims || {};
-    console.log('👤 Authenticated user:', userInfo.sub || 'unknown');
-    console.log('📧 User email:', userInfo.email || 'unknown');
-    console.log('🔍 Full userInfo:', JSON.stringify(userInfo, null, 2));
-    
-    const method = event.httpMethod;
-    const path = event.path;
-    
-    console.log(`Handling ${method} request to ${path}`);
-    
-    try {
-        let response;
-        
-        switch (method) {
-            case 'GET':
-                response = await handleGetRequest(path, event, userInfo);
-                break;
-            case 'POST':
-                response = await handlePostRequest(path, event, userInfo);
-                break;
-            case 'DELETE':
-                response = await handleDeleteRequest(path, event, userInfo);
-                break;
-            case 'OPTIONS':
-                response = {
-                    statusCode: 200,
-                    headers: {
-                        'Access-Control-Allow-Origin': '*',
-                        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-                    },
-                    body: ''
-                };
-                break;
-            default:
-                response = {
-                    statusCode: 405,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*',
-                        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
+// Helper function to delete a saved image item together with its guard record,
+// taking it off the user's saved images counter. The delete is conditional on
+// the item still belonging to the user.
+async function deleteSavedImageItem(userId, item) {
+    const params = {
+        TransactItems: [
+            {
+                Delete: {
+                    TableName: tableName,
+                    Key: {
+                        id: item.id,
+                        created_at: item.created_at
                     },
-                    body: JSON.stringify({
-                        message: 'Method not allowed'
-                    })
-                };
-        }
-        
-        return response;
-        
-    } catch (error) {
-        console.error('Error:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+                    ConditionExpression: 'user_id = :userId',
+                    ExpressionAttributeValues: {
+                        ':userId': userId
+                    }
+                }
             },
-            body: JSON.stringify({
-                message: 'Internal server error',
-                error: error.message
-            })
-        };
+            {
+                Delete: {
+                    TableName: idempotencyTableName,
+                    Key: { idempotency_key: savedImageGuardKey(item.id) }
+                }
+            },
+            {
+                Update: savedImageCounterUpdate(userId, -1)
+            }
+        ]
+    };
+
+    await dynamodb.transactWrite(params).promise();
+}
+
+// Key of the record that stores the response for a client Idempotency-Key
+function requestIdempotencyKey(userId, clientKey) {
+    return `request#${userId}#${clientKey}`;
+}
+
+// Helper function to check a client Idempotency-Key header. Returns null when
+// the header is absent and throws a validation error when it is malformed.
+function parseIdempotencyKey(event) {
+    const clientKey = getHeader(event, 'Idempotency-Key');
+    if (clientKey === undefined) {
+        return null;
     }
-};
+    if (clientKey.length === 0 || clientKey.length > MAX_IDEMPOTENCY_KEY_LENGTH || !IDEMPOTENCY_KEY_PATTERN.test(clientKey)) {
+        const message = `must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters of letters, digits, '.', '_', ':' or '-'`;
+        throw new ApiError(400, 'VALIDATION_FAILED', `Invalid request: Idempotency-Key ${message}`, {
+            errors: [{ field: 'Idempotency-Key', message: message }]
+        });
+    }
+    return clientKey;
+}
+
+// Fingerprint of a save request, stored with its Idempotency-Key so the key
+// cannot be replayed for a different image or different collections
+function savedImageRequestFingerprint(body) {
+    const collectionIds = [...new Set(body.collectionIds || [])].sort();
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ imageUrl: body.imageUrl, collectionIds: collectionIds }))
+        .digest('hex');
+}
 
-async function handleGetRequest(path, event, claims) {
+// Helper function to claim a client Idempotency-Key before the request runs, so
+// concurrent retries cannot both run it. The claim is a conditional put of an
+// in_progress record. Resolves to null when the key was claimed, or to the
+// record that holds it (in progress or with a stored response).
+async function claimIdempotencyKey(userId, clientKey, fingerprint) {
+    const now = Math.floor(Date.now() / 1000);
+    const key = { idempotency_key: requestIdempotencyKey(userId, clientKey) };
     try {
-        const userId = claims.sub || 'unknown';
-        const queryParams = event.queryStringParameters || {};
-        
-        // Check if user wants to retrieve saved images
-        if (queryParams.action === 'saved') {
-            const limit = parseInt(queryParams.limit) || 10;
-            const savedImages = await getSavedImages(userId, limit);
-            
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
-                },
-                body: JSON.stringify({
-                    message: 'Saved images retrieved successfully!',
-                    timestamp: new Date().toISOString(),
-                    path: path,
-                    method: 'GET',
-                    user: userId,
-                    requestId: event.requestContext.requestId,
-                    savedImages: savedImages,
-                    count: savedImages.length
-                })
-            };
-        }
-        
-        // Default behavior: get new random dog image (don't save automatically)
-        const dogApiResponse = await makeHttpRequest('https://dog.ceo/api/breeds/image/random');
-        
-        const response = {
-            message: 'Dog image fetched successfully!',
-            timestamp: new Date().toISOString(),
-            path: path,
-            method: 'GET',
-            user: userId,
-            requestId: event.requestContext.requestId,
-            dogData: dogApiResponse
-        };
-        
-        return {
-            statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        await dynamodb.put({
+            TableName: idempotencyTableName,
+            Item: {
+                ...key,
+                user_id: userId,
+                fingerprint: fingerprint,
+                status: 'in_progress',
+                expires_at: now + IDEMPOTENCY_CLAIM_TTL_SECONDS
             },
-            body: JSON.stringify(response)
-        };
+            ConditionExpression: 'attribute_not_exists(idempotency_key) OR expires_at < :now',
+            ExpressionAttributeValues: { ':now': now }
+        }).promise();
+        return null;
     } catch (error) {
-        console.error('Error in GET request:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
-            },
-            body: JSON.stringify({
-                message: 'Error processing GET request',
-                error: error.message
-            })
-        };
+        if (!isConditionalCheckFailure(error)) {
+            throw error;
+        }
     }
+
+    const result = await dynamodb.get({ TableName: idempotencyTableName, Key: key, ConsistentRead: true }).promise();
+    // A record that vanished since the put is treated as still in progress
+    return result.Item || { fingerprint: fingerprint, status: 'in_progress' };
 }
 
-async function handlePostRequest(path, event, claims) {
-    let body;
+// Helper function to release a claimed Idempotency-Key after its request failed,
+// so a retry can run it again
+async function releaseIdempotencyKey(userId, clientKey) {
     try {
-        body = JSON.parse(event.body);
-    } catch (e) {
-        body = event.body;
-    }
-    
-    try {
-        const userId = claims.sub || 'unknown';
-        
-        // Debug logging
-        console.log('POST request body:', JSON.stringify(body));
-        console.log('Body action:', body.action);
-        console.log('Body imageUrl:', body.imageUrl);
-        
-        // Check if this is a save image request
-        if (body.action === 'save_image' && body.imageUrl) {
-            console.log('✅ Processing save_image request for user:', userId);
-            const dogData = {
-                message: body.imageUrl,
-                status: 'success'
-            };
-            
-            // Save the specific image to DynamoDB
-            const savedImage = await saveImageToDynamoDB(userId, dogData);
-            
-            console.log('✅ Save image completed, returning response');
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                    'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-                },
-                body: JSON.stringify({
-                    message: 'Image saved successfully!',
-                    timestamp: new Date().toISOString(),
-                    user: userId,
-                    requestId: event.requestContext.requestId,
-                    savedImage: savedImage
-                })
-            };
-        }
-        
-        console.log('⚠️ Not a save_image request, proceeding with default POST behavior');
-        
-        // Default behavior: get a random dog image for POST requests
-        const dogApiResponse = await makeHttpRequest('https://dog.ceo/api/breeds/image/random');
-        
-        // Save the image to DynamoDB
-        const savedImage = await saveImageToDynamoDB(userId, dogApiResponse);
-        
-        const response = {
-            message: 'Data received and dog image fetched and saved!',
-            timestamp: new Date().toISOString(),
-            path: path,
-            method: 'POST',
-            user: userId,
-            requestId: event.requestContext.requestId,
-            receivedData: body,
-            dogData: dogApiResponse,
-            savedImage: savedImage
-        };
-        
-        return {
-            statusCode: 201,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-            },
-            body: JSON.stringify(response)
-        };
+        await dynamodb.delete({
+            TableName: idempotencyTableName,
+            Key: { idempotency_key: requestIdempotencyKey(userId, clientKey) },
+            ConditionExpression: '#status = :inProgress',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':inProgress': 'in_progress' }
+        }).promise();
     } catch (error) {
-        console.error('Error in POST request:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-            },
-            body: JSON.stringify({
-                message: 'Error processing POST request',
-                error: error.message
-            })
-        };
+        logger.warn('Releasing Idempotency-Key failed', { error: error });
     }
 }
 
-async function handleDeleteRequest(path, event, claims) {
-    let body;
-    try {
-        body = JSON.parse(event.body);
-    } catch (e) {
-        body = event.body;
+// Helper function to store the response for a client Idempotency-Key so a retried
+// request gets the same answer. Records expire through the table's TTL.
+async function putIdempotentResponse(userId, clientKey, fingerprint, response) {
+    await dynamodb.put({
+        TableName: idempotencyTableName,
+        Item: {
+            idempotency_key: requestIdempotencyKey(userId, clientKey),
+            user_id: userId,
+            fingerprint: fingerprint,
+            status: 'completed',
+            status_code: response.statusCode,
+            response_body: response.body,
+            expires_at: Math.floor(Date.now() / 1000) + IDEMPOTENCY_KEY_TTL_SECONDS
+        }
+    }).promise();
+}
+
+// Helper function to read a quota limit from the environment. Unset or invalid
+// values fall back to defaultLimit.
+function readQuotaLimit(name, defaultLimit) {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isInteger(value) && value >= 0 ? value : defaultLimit;
+}
+
+// Helper function to build the headers that report a quota: <prefix>-Limit,
+// <prefix>-Remaining and, for windowed quotas, <prefix>-Reset in seconds
+function quotaHeaders(prefix, quota) {
+    const headers = {
+        [`${prefix}-Limit`]: String(quota.limit),
+        [`${prefix}-Remaining`]: String(quota.remaining)
+    };
+    if (quota.resetSeconds !== undefined) {
+        headers[`${prefix}-Reset`] = String(quota.resetSeconds);
+    }
+    return headers;
+}
+
+// Helper function to build the 429 answer for a quota that ran out. Windowed
+// quotas add Retry-After; the saved images cap has no window and only frees up
+// when images are deleted.
+function quotaExceededError(code, message, prefix, quota) {
+    const headers = quotaHeaders(prefix, quota);
+    const details = { limit: quota.limit, remaining: quota.remaining };
+    if (quota.resetSeconds !== undefined) {
+        headers['Retry-After'] = String(quota.resetSeconds);
+        details.retryAfterSeconds = quota.resetSeconds;
     }
-    
+    return new ApiError(429, code, message, details, headers);
+}
+
+// Helper function to take amount from a windowed quota: one counter item per
+// user and window, incremented only while it stays within limit, so concurrent
+// requests cannot overshoot it. Resolves to { allowed, limit, remaining,
+// resetSeconds }, or to null when the quotas table cannot be reached; quota
+// checks then let requests through rather than failing them.
+async function consumeWindowQuota(key, amount, limit, windowEndsAt) {
+    const resetSeconds = Math.max(Math.ceil((windowEndsAt - Date.now()) / 1000), 1);
+    const quotaKey = { quota_key: key };
     try {
-        const userId = claims.sub || 'unknown';
-        
-        // Check if this is a delete image request
-        if (body.action === 'delete_image' && body.imageUrl) {
-            const deleteResult = await deleteImageFromDynamoDB(userId, body.imageUrl);
-            
-            return {
-                statusCode: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                    'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-                },
-                body: JSON.stringify({
-                    message: 'Image deleted successfully!',
-                    timestamp: new Date().toISOString(),
-                    user: userId,
-                    requestId: event.requestContext.requestId,
-                    deleteResult: deleteResult
-                })
-            };
-        }
-        
-        // Default behavior for DELETE requests
-        return {
-            statusCode: 400,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
+        const result = await dynamodb.update({
+            TableName: quotasTableName,
+            Key: quotaKey,
+            UpdateExpression: 'SET expires_at = :expiresAt ADD used :amount',
+            ConditionExpression: 'attribute_not_exists(used) OR used <= :maxUsed',
+            ExpressionAttributeValues: {
+                ':amount': amount,
+                ':maxUsed': limit - amount,
+                ':expiresAt': Math.floor(windowEndsAt / 1000) + QUOTA_TTL_GRACE_SECONDS
             },
-            body: JSON.stringify({
-                message: 'Invalid DELETE request. Expected action: delete_image and imageUrl'
-            })
-        };
+            ReturnValues: 'UPDATED_NEW'
+        }).promise();
+        return { allowed: true, limit: limit, remaining: limit - result.Attributes.used, resetSeconds: resetSeconds };
     } catch (error) {
-        console.error('Error in DELETE request:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-                'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
-            },
-            body: JSON.stringify({
-                message: 'Error processing DELETE request',
-                error: error.message
+        if (!isConditionalCheckFailure(error)) {
+            logger.warn('Quota check failed', { quotaKey: key, error: error });
+            return null;
+        }
+    }
+
+    // Over the limit: nothing was taken, so read what is left for the headers
+    let used = limit;
+    try {
+        const current = await dynamodb.get({ TableName: quotasTableName, Key: quotaKey, ConsistentRead: true }).promise();
+        used = current.Item ? current.Item.used : limit;
+    } catch (error) {
+        logger.warn('Reading quota failed', { quotaKey: key, error: error });
+    }
+    return { allowed: false, limit: limit, remaining: Math.max(limit - used, 0), resetSeconds: resetSeconds };
+}
+
+// Helper function to hand back amount taken from a windowed quota for work that
+// did not happen. A failed refund is logged and the charge stays.
+async function refundWindowQuota(key, amount) {
+    if (amount <= 0) {
+        return;
+    }
+    try {
+        await dynamodb.update({
+            TableName: quotasTableName,
+            Key: { quota_key: key },
+            UpdateExpression: 'ADD used :amount',
+            ConditionExpression: 'attribute_exists(used)',
+            ExpressionAttributeValues: { ':amount': -amount }
+        }).promise();
+    } catch (error) {
+        logger.warn('Refunding quota failed', { quotaKey: key, amount: amount, error: error });
+    }
+}
+
+// Helper function to count a request against the caller's per-minute budget.
+// Resolves to the quota (see consumeWindowQuota), or null when it is off.
+async function consumeRequestQuota(userId) {
+    if (!RATE_LIMIT_PER_MINUTE) {
+        return null;
+    }
+    const minute = Math.floor(Date.now() / 60000);
+    return consumeWindowQuota(`rate#${userId}#${minute}`, 1, RATE_LIMIT_PER_MINUTE, (minute + 1) * 60000);
+}
+
+// Helper function to take count random images from the caller's daily budget,
+// which resets at midnight UTC. Resolves to the counter's key and the quota, or
+// null when the budget is off or cannot be checked; throws
+// RANDOM_FETCH_QUOTA_EXCEEDED when the budget cannot cover count.
+async function consumeRandomFetchQuota(userId, count) {
+    if (!RANDOM_FETCH_DAILY_LIMIT) {
+        return null;
+    }
+    const day = new Date().toISOString().slice(0, 10);
+    const key = `random#${userId}#${day}`;
+    const quota = await consumeWindowQuota(key, count, RANDOM_FETCH_DAILY_LIMIT,
+        Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000);
+    if (!quota) {
+        return null;
+    }
+    if (!quota.allowed) {
+        throw quotaExceededError('RANDOM_FETCH_QUOTA_EXCEEDED',
+            `Daily limit of ${quota.limit} random images reached (${quota.remaining} left today)`, 'X-Random-Quota', quota);
+    }
+    return { key: key, quota: quota };
+}
+
+// Helper function to fetch count random images against the caller's daily
+// budget. The budget is taken before the fetch so concurrent calls cannot
+// overspend it; images that were not delivered, all of them when the fetch
+// fails, are handed back. Resolves to the result of fetchRandomImages plus the
+// quota headers to add to the response.
+async function fetchRandomImagesWithinQuota(userId, breed, subBreed, count) {
+    const charge = await consumeRandomFetchQuota(userId, count);
+    let result;
+    try {
+        result = await fetchRandomImages(breed, subBreed, count);
+    } catch (error) {
+        if (charge) {
+            await refundWindowQuota(charge.key, count);
+        }
+        throw error;
+    }
+
+    if (!charge) {
+        return { ...result, quotaHeaders: {} };
+    }
+    const unused = count - result.images.length;
+    await refundWindowQuota(charge.key, unused);
+    return {
+        ...result,
+        quotaHeaders: quotaHeaders('X-Random-Quota', { ...charge.quota, remaining: charge.quota.remaining + Math.max(unused, 0) })
+    };
+}
+
+// Key of the counter of a user's saved images in the quotas table. It has no
+// expiry; saves and deletes adjust it in the same transaction as the item.
+function savedImageCounterKey(userId) {
+    return `saved-images#${userId}`;
+}
+
+// Key of the count of images saved on a UTC day (YYYY-MM-DD) in the quotas
+// table, read by the admin stats route. It has no expiry.
+function dailySavesKey(day) {
+    return `stats#saves#${day}`;
+}
+
+// Helper function to add count newly saved images to today's total. The total
+// is only a statistic, so a failure is logged rather than failing the save.
+async function recordDailySaves(count) {
+    if (count <= 0) {
+        return;
+    }
+    const day = new Date().toISOString().slice(0, 10);
+    try {
+        await dynamodb.update({
+            TableName: quotasTableName,
+            Key: { quota_key: dailySavesKey(day) },
+            UpdateExpression: 'ADD saves :count',
+            ExpressionAttributeValues: { ':count': count }
+        }).promise();
+    } catch (error) {
+        logger.warn('Recording daily saves failed', { day: day, count: count, error: error });
+    }
+}
+
+// Helper function to make sure a user's saved images counter exists before a
+// save or delete adjusts it. Users who saved images before the counter existed
+// get it initialised from a count of their images.
+async function ensureSavedImageCounter(userId) {
+    const key = { quota_key: savedImageCounterKey(userId) };
+    const current = await dynamodb.get({ TableName: quotasTableName, Key: key, ConsistentRead: true }).promise();
+    if (current.Item) {
+        return;
+    }
+
+    const count = await countSavedImages(userId);
+    try {
+        await dynamodb.put({
+            TableName: quotasTableName,
+            Item: { ...key, user_id: userId, saved_count: count },
+            ConditionExpression: 'attribute_not_exists(quota_key)'
+        }).promise();
+    } catch (error) {
+        // A concurrent request created it first
+        if (!isConditionalCheckFailure(error)) {
+            throw error;
+        }
+    }
+}
+
+// Helper function to build the transaction item that adds amount saved images to
+// a user's counter. Increments are conditional on the result staying within
+// MAX_SAVED_IMAGES_PER_USER; decrements always apply.
+function savedImageCounterUpdate(userId, amount) {
+    const update = {
+        TableName: quotasTableName,
+        Key: { quota_key: savedImageCounterKey(userId) },
+        UpdateExpression: 'ADD saved_count :amount',
+        ExpressionAttributeValues: { ':amount': amount }
+    };
+    if (amount > 0 && MAX_SAVED_IMAGES_PER_USER) {
+        update.ConditionExpression = 'saved_count <= :maxCount';
+        update.ExpressionAttributeValues[':maxCount'] = MAX_SAVED_IMAGES_PER_USER - amount;
+    }
+    return update;
+}
+
+// Helper function to build the SAVED_IMAGES_LIMIT_REACHED error
+function savedImagesLimitError() {
+    return quotaExceededError('SAVED_IMAGES_LIMIT_REACHED',
+        `You can keep at most ${MAX_SAVED_IMAGES_PER_USER} saved images; delete some to save more`,
+        'X-Saved-Images', { limit: MAX_SAVED_IMAGES_PER_USER, remaining: 0 });
+}
+
+// Helper function to build the saved images query for a listing. Options:
+// - tag: only images carrying this tag
+// - sort: 'newest' (default) or 'rating' (highest rated first, newest within a rating)
+// - favoritesOnly: only favorites, read from the sparse favorites index by rating
+function buildSavedImagesQuery(userId, { tag = null, sort = 'newest', favoritesOnly = false } = {}) {
+    const params = {
+        TableName: tableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: {
+            ':userId': userId
+        },
+        ScanIndexForward: false // Sort descending: newest or highest rated first
+    };
+
+    if (favoritesOnly) {
+        params.IndexName = 'favorites-index';
+        params.KeyConditionExpression = 'favorite_user_id = :userId';
+    } else if (sort === 'rating') {
+        params.IndexName = 'user-rating-index';
+    }
+    if (tag) {
+        params.FilterExpression = 'contains(tags, :tag)';
+        params.ExpressionAttributeValues[':tag'] = tag;
+    }
+
+    return params;
+}
+
+// Helper function to get one page of saved images for a user
+async function getSavedImages(userId, limit = DEFAULT_PAGE_SIZE, startKey = null, options = {}) {
+    const params = buildSavedImagesQuery(userId, options);
+
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    try {
+        // The tag filter runs after Limit, so keep reading until the page is full
+        const items = [];
+        do {
+            params.Limit = limit - items.length;
+            const result = await dynamodb.query(params).promise();
+            items.push(...result.Items);
+            params.ExclusiveStartKey = result.LastEvaluatedKey;
+        } while (params.ExclusiveStartKey && items.length < limit);
+
+        logger.debug('Saved images retrieved', { count: items.length });
+        return {
+            items: items,
+            lastEvaluatedKey: params.ExclusiveStartKey || null
+        };
+    } catch (error) {
+        logger.error('Retrieving saved images failed', { error: error });
+        throw error;
+    }
+}
+
+// Helper function to count all saved images matching a listing, following every query page
+async function countSavedImages(userId, options = {}) {
+    const params = {
+        ...buildSavedImagesQuery(userId, options),
+        Select: 'COUNT'
+    };
+
+    let total = 0;
+    do {
+        const result = await dynamodb.query(params).promise();
+        total += result.Count;
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return total;
+}
+
+// Helper function to sign a pagination cursor. The cursor is bound to the user
+// it was issued to, so it cannot be edited or replayed against another account,
+// and to the listing's scope (the index, filters or collection the key belongs
+// to), so it cannot be replayed against a query its key does not fit.
+function encodePageToken(userId, lastEvaluatedKey, scope = null) {
+    const payload = Buffer.from(JSON.stringify({ u: userId, s: scope, k: lastEvaluatedKey })).toString('base64url');
+    const signature = crypto.createHmac('sha256', paginationSecret).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+// Helper function to verify a pagination cursor. Returns the DynamoDB start key,
+// or null when the token is malformed, tampered with, issued to another user or
+// issued for another scope.
+function decodePageToken(userId, token, scope = null) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = crypto.createHmac('sha256', paginationSecret).update(payload).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        const sameScope = JSON.stringify(decoded.s ?? null) === JSON.stringify(scope);
+        return decoded.u === userId && sameScope && decoded.k ? decoded.k : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper function to shuffle a list in place
+function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+// Helper function to find the configured provider with the given name
+function findProvider(name) {
+    return imageProviders.find((provider) => provider.name === name) || null;
+}
+
+// Helper function to find the provider an image URL belongs to and read its breed.
+// preferredProvider (the one that served the image, when known) is asked first,
+// then the others in configured order. A URL no provider recognizes is described
+// as an unknown breed with no provider.
+function describeImageUrl(url, preferredProvider = null) {
+    const preferred = findProvider(preferredProvider);
+    const providers = preferred ? [preferred, ...imageProviders.filter((provider) => provider !== preferred)] : imageProviders;
+    for (const provider of providers) {
+        const description = typeof url === 'string' ? provider.describeImage(url) : null;
+        if (description) {
+            return { ...description, provider: provider.name };
+        }
+    }
+    return { breed: 'unknown', subBreed: null, displayName: 'Unknown', provider: null };
+}
+
+// Helper function to build the display name of a breed as the given provider names it
+function breedDisplayName(providerName, breed, subBreed) {
+    const provider = findProvider(providerName);
+    return provider ? provider.breedDisplayName(breed, subBreed) : formatBreedName(breed, subBreed);
+}
+
+// Helper function to add images fetched from a provider to the fallback pool,
+// dropping the oldest ones once it is full
+function rememberFallbackImages(provider, urls) {
+    urls.forEach((url) => {
+        const index = fallbackImagePool.findIndex((entry) => entry.url === url);
+        if (index >= 0) {
+            fallbackImagePool.splice(index, 1);
+        }
+        const description = provider.describeImage(url) || {};
+        fallbackImagePool.push({ url: url, provider: provider.name, breed: description.breed, subBreed: description.subBreed || null });
+    });
+    fallbackImagePool.splice(0, Math.max(0, fallbackImagePool.length - FALLBACK_POOL_SIZE));
+}
+
+// Helper function to pick up to count random images of the requested breed from
+// the fallback pool
+function pickFallbackImages(breed, subBreed, count) {
+    const candidates = fallbackImagePool.filter((entry) => (!breed || entry.breed === breed)
+        && (!subBreed || entry.subBreed === subBreed));
+    return shuffle(candidates).slice(0, count).map((entry) => ({ message: entry.url, status: 'success', provider: entry.provider }));
+}
+
+// Helper function to fetch random dog images. Resolves to { images, fallback },
+// where images is a list of dogData objects ({ message: imageUrl, status, provider })
+// whatever the count. Without a breed the providers are tried in random order,
+// otherwise in configured order; the first one that knows the breed answers.
+// When every provider fails, recently seen images of the same breed are returned
+// instead with fallback set to true; with none at hand the error is thrown.
+async function fetchRandomImages(breed, subBreed, count) {
+    const providers = breed ? imageProviders : shuffle([...imageProviders]);
+    let lastError = null;
+    for (const provider of providers) {
+        let urls;
+        try {
+            urls = await provider.randomImages(breed, subBreed, count);
+        } catch (error) {
+            logger.warn('Image provider failed', { provider: provider.name, errorCode: error.code, error: error });
+            lastError = error;
+            continue;
+        }
+        if (urls && urls.length > 0) {
+            rememberFallbackImages(provider, urls);
+            metrics.count('RandomFetches');
+            return {
+                images: urls.map((url) => ({ message: url, status: 'success', provider: provider.name })),
+                fallback: false
+            };
+        }
+    }
+
+    if (!lastError) {
+        throw new ApiError(404, 'BREED_NOT_FOUND', `Breed not found: ${subBreed ? `${breed}/${subBreed}` : breed}`);
+    }
+    const fallbackImages = pickFallbackImages(breed, subBreed, count);
+    if (fallbackImages.length === 0) {
+        throw lastError;
+    }
+    logger.warn('Serving fallback images', { count: fallbackImages.length, errorCode: lastError.code });
+    metrics.count('FallbackImagesServed', fallbackImages.length);
+    return { images: fallbackImages, fallback: true };
+}
+
+// Description stored for a saved image when the user did not provide one
+function defaultDescription(breedDisplayName) {
+    return `A beautiful ${breedDisplayName} dog from the Dog API collection`;
+}
+
+// Helper function to load the breed catalog of every configured provider, merged
+// by breed; the first provider to list a breed or sub-breed names it. The catalog
+// is cached in the container so warm invocations do not call the providers again.
+// When only some providers answer, their breeds are returned but not cached.
+async function getBreedCatalog() {
+    if (breedCatalogCache && Date.now() - breedCatalogCache.fetchedAt < BREED_CATALOG_TTL_MS) {
+        return breedCatalogCache.breeds;
+    }
+
+    const results = await Promise.allSettled(imageProviders.map((provider) => provider.listBreeds()));
+    const failures = results.filter((result) => result.status === 'rejected');
+    if (failures.length === results.length) {
+        throw failures[0].reason;
+    }
+
+    const merged = new Map();
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            logger.warn('Image provider breed list failed', { provider: imageProviders[index].name, error: result.reason });
+            return;
+        }
+        result.value.forEach((entry) => {
+            const breed = merged.get(entry.breed) || { breed: entry.breed, displayName: entry.displayName, subBreeds: new Map() };
+            entry.subBreeds.forEach((subEntry) => {
+                if (!breed.subBreeds.has(subEntry.subBreed)) {
+                    breed.subBreeds.set(subEntry.subBreed, subEntry);
+                }
+            });
+            merged.set(entry.breed, breed);
+        });
+    });
+
+    const bySortKey = (key) => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+    const breeds = [...merged.values()].sort(bySortKey('breed')).map((breed) => ({
+        breed: breed.breed,
+        displayName: breed.displayName,
+        subBreeds: [...breed.subBreeds.values()].sort(bySortKey('subBreed')).map((subEntry) => ({
+            subBreed: subEntry.subBreed,
+            displayName: subEntry.displayName
+        }))
+    }));
+
+    if (failures.length === 0) {
+        breedCatalogCache = { breeds: breeds, fetchedAt: Date.now() };
+    }
+    return breeds;
+}
+
+// Helper function to run a backfill: scan the saved images table for items matching
+// filterExpression and pass each one to updateItem, pageSize items per scan page
+// when given. Stops early when the Lambda is close to its timeout; the caller
+// resumes from the returned nextStartKey.
+async function runBackfill(name, filterExpression, updateItem, startKey, context, pageSize = null) {
+    const params = {
+        TableName: tableName,
+        FilterExpression: filterExpression
+    };
+    if (pageSize) {
+        params.Limit = pageSize;
+    }
+
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    let scanned = 0;
+    let updated = 0;
+    do {
+        const result = await dynamodb.scan(params).promise();
+        scanned += result.ScannedCount || result.Items.length;
+
+        for (const item of result.Items) {
+            await updateItem(item);
+            updated++;
+        }
+
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey && (!context || context.getRemainingTimeInMillis() > 10000));
+
+    logger.info('Backfill batch finished', { backfill: name, scanned: scanned, updated: updated });
+    return {
+        scanned: scanned,
+        updated: updated,
+        complete: !params.ExclusiveStartKey,
+        nextStartKey: params.ExclusiveStartKey || null
+    };
+}
+
+// Maintenance task: rewrite saved images stored with the old free-text breed
+// ("retriever golden") to the structured breed / sub_breed / breed_display_name fields
+async function backfillBreedFields(startKey, context) {
+    return runBackfill('Breed', 'attribute_exists(user_id) AND attribute_exists(image_url) AND attribute_not_exists(breed_display_name)', async (item) => {
+        const breed = describeImageUrl(item.image_url);
+        const hasDefaultDescription = !item.description
+            || item.description === defaultDescription(item.breed);
+
+        await dynamodb.update({
+            TableName: tableName,
+            Key: { id: item.id, created_at: item.created_at },
+            UpdateExpression: 'SET breed = :breed, sub_breed = :subBreed, breed_display_name = :displayName, description = :description',
+            ExpressionAttributeValues: {
+                ':breed': breed.breed,
+                ':subBreed': breed.subBreed,
+                ':displayName': breed.displayName,
+                ':description': hasDefaultDescription ? defaultDescription(breed.displayName) : item.description
+            }
+        }).promise();
+    }, startKey, context);
+}
+
+// Maintenance task: give older items a rating_rank so they show up in the rating index
+async function backfillRatingRank(startKey, context) {
+    return runBackfill('Rating rank', 'attribute_exists(user_id) AND attribute_not_exists(rating_rank)', async (item) => {
+        await dynamodb.update({
+            TableName: tableName,
+            Key: { id: item.id, created_at: item.created_at },
+            UpdateExpression: 'SET rating_rank = :ratingRank',
+            ExpressionAttributeValues: {
+                ':ratingRank': buildRatingRank(item.rating, item.created_at)
+            }
+        }).promise();
+    }, startKey, context);
+}
+
+// Maintenance task: record the image provider on items saved before it was stored.
+// Items whose URL no configured provider recognizes get a null provider.
+async function backfillProvider(startKey, context) {
+    return runBackfill('Provider', 'attribute_exists(user_id) AND attribute_exists(image_url) AND attribute_not_exists(provider)', async (item) => {
+        await dynamodb.update({
+            TableName: tableName,
+            Key: { id: item.id, created_at: item.created_at },
+            UpdateExpression: 'SET provider = :provider',
+            ExpressionAttributeValues: {
+                ':provider': describeImageUrl(item.image_url).provider
+            }
+        }).promise();
+    }, startKey, context);
+}
+
+// Helper function to store attributes made by a backfill on a saved image. When
+// the image was deleted in the meantime, the objects they point at are removed.
+async function setMirrorAttributes(item, attributes) {
+    const names = Object.keys(attributes);
+    try {
+        await dynamodb.update({
+            TableName: tableName,
+            Key: { id: item.id, created_at: item.created_at },
+            UpdateExpression: `SET ${names.map((name, index) => `#a${index} = :v${index}`).join(', ')}`,
+            ConditionExpression: 'attribute_exists(id)',
+            ExpressionAttributeNames: Object.fromEntries(names.map((name, index) => [`#a${index}`, name])),
+            ExpressionAttributeValues: Object.fromEntries(names.map((name, index) => [`:v${index}`, attributes[name]]))
+        }).promise();
+    } catch (error) {
+        if (!isConditionalCheckFailure(error)) {
+            throw error;
+        }
+        await removeMirroredImages([attributes]);
+    }
+}
+
+// Maintenance task: copy saved images that have no mirrored copy yet (saved before
+// mirroring, imported, or whose copy failed) into the mirror bucket
+async function backfillMirror(startKey, context) {
+    if (!imageStore.enabled) {
+        throw new Error('IMAGES_BUCKET_NAME is not set');
+    }
+    return runBackfill('Mirror', 'attribute_exists(user_id) AND attribute_exists(image_url) AND attribute_not_exists(mirror_key)', async (item) => {
+        const attributes = await mirrorSavedImage(item);
+        if (attributes.mirror_key) {
+            await setMirrorAttributes(item, attributes);
+        }
+    }, startKey, context, MIRROR_BACKFILL_PAGE_SIZE);
+}
+
+// Maintenance task: make thumbnails for mirrored images that have none (mirrored
+// before thumbnails existed, or whose rendering failed) from the mirrored copy
+async function backfillThumbnails(startKey, context) {
+    if (!imageStore.enabled) {
+        throw new Error('IMAGES_BUCKET_NAME is not set');
+    }
+    return runBackfill('Thumbnails', 'attribute_exists(mirror_key) AND attribute_not_exists(thumbnails)', async (item) => {
+        let data;
+        try {
+            data = await imageStore.read(item.mirror_key);
+        } catch (error) {
+            logger.warn('Reading mirrored image failed', { imageId: item.id, error: error });
+            return;
+        }
+        const attributes = await buildThumbnails(item, data);
+        if (attributes.thumbnails) {
+            await setMirrorAttributes(item, attributes);
+        }
+    }, startKey, context, MIRROR_BACKFILL_PAGE_SIZE);
+}
+
+// Helper function to find a saved image by its id, scoped to the owning user
+async function findSavedImageById(userId, imageId) {
+    const params = {
+        TableName: tableName,
+        KeyConditionExpression: 'id = :id',
+        ExpressionAttributeValues: {
+            ':id': imageId
+        }
+    };
+
+    const result = await dynamodb.query(params).promise();
+    return result.Items.find((item) => item.user_id === userId) || null;
+}
+
+// Helper function to find a saved image by its URL. Images saved before ids were
+// derived from the URL are found by paging through the user's index partition.
+async function findSavedImageByUrl(userId, imageUrl) {
+    const item = await findSavedImageById(userId, buildSavedImageId(userId, imageUrl));
+    if (item) {
+        return item;
+    }
+
+    const params = {
+        TableName: tableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        FilterExpression: 'image_url = :imageUrl',
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':imageUrl': imageUrl
+        }
+    };
+
+    do {
+        const result = await dynamodb.query(params).promise();
+        if (result.Items.length > 0) {
+            return result.Items[0];
+        }
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return null;
+}
+
+// Helper function to map the image URL of each saved image whose id was not
+// derived from its URL (saved before that change) to the item id
+async function findLegacySavedImageIds(userId) {
+    const legacyIds = new Map();
+    const params = {
+        TableName: tableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: {
+            ':userId': userId
+        }
+    };
+
+    do {
+        const result = await dynamodb.query(params).promise();
+        result.Items
+            .filter((item) => item.id !== buildSavedImageId(userId, item.image_url))
+            .forEach((item) => legacyIds.set(item.image_url, item.id));
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return legacyIds;
+}
+
+// Helper function to delete a saved image item, returning null when the item is
+// missing or belongs to another user
+async function deleteOwnedImage(userId, item) {
+    if (!item) {
+        return null;
+    }
+
+    try {
+        await ensureSavedImageCounter(userId);
+        await deleteSavedImageItem(userId, item);
+        await removeImagesFromAllCollections(userId, [item.id]);
+        await removeMirroredImages([item]);
+        logger.info('Image deleted', { imageId: item.id });
+        metrics.count('ImagesDeleted');
+        return { success: true, deletedId: item.id };
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        logger.error('Deleting image failed', { imageId: item.id, error: error });
+        throw error;
+    }
+}
+
+// Helper function to delete a saved image by its id
+async function deleteImageById(userId, imageId) {
+    return deleteOwnedImage(userId, await findSavedImageById(userId, imageId));
+}
+
+// Helper function to delete a saved image by its URL
+async function deleteImageFromDynamoDB(userId, imageUrl) {
+    return deleteOwnedImage(userId, await findSavedImageByUrl(userId, imageUrl));
+}
+
+// Helper function to normalize a list of tags: trimmed, lower-cased and de-duplicated.
+// Returns { tags } or { error }.
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        return { error: 'tags must be an array of strings' };
+    }
+
+    const normalized = [];
+    for (const tag of tags) {
+        if (typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+            return { error: `each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters` };
+        }
+        const value = tag.trim().toLowerCase();
+        if (!normalized.includes(value)) {
+            normalized.push(value);
+        }
+    }
+    if (normalized.length > MAX_TAGS) {
+        return { error: `at most ${MAX_TAGS} tags are allowed` };
+    }
+
+    return { tags: normalized };
+}
+
+// Helper function to update the editable fields of a saved image with optimistic
+// concurrency. The write only succeeds while the stored version still equals
+// expectedVersion; items saved before versioning count as version 1.
+// Returns the updated item, or null when the version no longer matches.
+async function updateSavedImageInDynamoDB(userId, item, changes, expectedVersion) {
+    const names = { '#version': 'version' };
+    const values = {
+        ':userId': userId,
+        ':expectedVersion': expectedVersion,
+        ':nextVersion': expectedVersion + 1,
+        ':updatedAt': new Date().toISOString()
+    };
+    const sets = ['#version = :nextVersion', 'updated_at = :updatedAt'];
+
+    const removes = [];
+
+    for (const field of ['description', 'notes', 'tags', 'rating', 'favorite']) {
+        if (changes[field] !== undefined) {
+            names[`#${field}`] = field;
+            values[`:${field}`] = changes[field];
+            sets.push(`#${field} = :${field}`);
+        }
+    }
+
+    // Keep the index keys in step: the rating index sorts on rating_rank and
+    // the favorites index only holds items that have favorite_user_id
+    if (changes.rating !== undefined) {
+        values[':ratingRank'] = buildRatingRank(changes.rating, item.created_at);
+        sets.push('rating_rank = :ratingRank');
+    }
+    if (changes.favorite === true) {
+        sets.push('favorite_user_id = :userId');
+    } else if (changes.favorite === false) {
+        removes.push('favorite_user_id');
+    }
+
+    const versionCondition = expectedVersion === 1
+        ? '(attribute_not_exists(#version) OR #version = :expectedVersion)'
+        : '#version = :expectedVersion';
+
+    try {
+        const result = await dynamodb.update({
+            TableName: tableName,
+            Key: { id: item.id, created_at: item.created_at },
+            UpdateExpression: `SET ${sets.join(', ')}${removes.length ? ` REMOVE ${removes.join(', ')}` : ''}`,
+            ConditionExpression: `user_id = :userId AND ${versionCondition}`,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        logger.info('Image updated', { imageId: item.id, version: expectedVersion + 1 });
+        return result.Attributes;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        logger.error('Updating image failed', { imageId: item.id, error: error });
+        throw error;
+    }
+}
+
+// Helper function to delete several saved images with DynamoDB batch writes.
+// Returns one result per requested id: deleted, not_found or failed.
+async function batchDeleteImages(userId, imageIds) {
+    const uniqueIds = [...new Set(imageIds)];
+    const items = await Promise.all(uniqueIds.map((imageId) => findSavedImageById(userId, imageId)));
+
+    const statuses = {};
+    const owned = [];
+    uniqueIds.forEach((imageId, index) => {
+        if (items[index]) {
+            owned.push(items[index]);
+        } else {
+            statuses[imageId] = 'not_found';
+        }
+    });
+
+    // Each image takes two write requests (item + guard); a batch holds at most 25
+    const perBatch = Math.floor(BATCH_WRITE_LIMIT / 2);
+    if (owned.length > 0) {
+        await ensureSavedImageCounter(userId);
+    }
+    for (let start = 0; start < owned.length; start += perBatch) {
+        const chunk = owned.slice(start, start + perBatch);
+        const unprocessed = await batchWriteWithRetry({
+            [tableName]: chunk.map((item) => ({
+                DeleteRequest: { Key: { id: item.id, created_at: item.created_at } }
+            })),
+            [idempotencyTableName]: chunk.map((item) => ({
+                DeleteRequest: { Key: { idempotency_key: savedImageGuardKey(item.id) } }
+            }))
+        });
+
+        const failedIds = new Set((unprocessed[tableName] || []).map((request) => request.DeleteRequest.Key.id));
+        chunk.forEach((item) => {
+            statuses[item.id] = failedIds.has(item.id) ? 'failed' : 'deleted';
+        });
+        // Batch writes cannot update, so the counter follows in its own call
+        const deletedCount = chunk.length - failedIds.size;
+        if (deletedCount > 0) {
+            await dynamodb.update(savedImageCounterUpdate(userId, -deletedCount)).promise();
+        }
+    }
+
+    const deletedIds = uniqueIds.filter((imageId) => statuses[imageId] === 'deleted');
+    await removeImagesFromAllCollections(userId, deletedIds);
+    await removeMirroredImages(owned.filter((item) => statuses[item.id] === 'deleted'));
+    metrics.count('ImagesDeleted', deletedIds.length);
+
+    return uniqueIds.map((imageId) => ({ id: imageId, status: statuses[imageId] }));
+}
+
+// Helper function to run a batch write, retrying unprocessed items with backoff.
+// Returns whatever is still unprocessed after the last attempt.
+async function batchWriteWithRetry(requestItems, maxAttempts = 3) {
+    let pending = requestItems;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const result = await dynamodb.batchWrite({ RequestItems: pending }).promise();
+        pending = result.UnprocessedItems || {};
+        if (Object.keys(pending).length === 0) {
+            return {};
+        }
+        if (attempt < maxAttempts) {
+            await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+        }
+    }
+
+    logger.error('Batch write left unprocessed items', { tables: Object.keys(pending) });
+    return pending;
+}
+
+// Collections live in their own table, partitioned by user. A collection is
+// stored under sk COLLECTION#<collectionId>; each image in a manual collection
+// is a membership item under sk MEMBER#<collectionId>#<imageId>. Smart
+// collections hold a rule instead of memberships and are filled at read time.
+
+function collectionSortKey(collectionId) {
+    return `COLLECTION#${collectionId}`;
+}
+
+function membershipSortKey(collectionId, imageId = '') {
+    return `MEMBER#${collectionId}#${imageId}`;
+}
+
+// Helper function to strip the table keys from a collection item
+function toCollection(item) {
+    return {
+        id: item.collection_id,
+        name: item.name,
+        type: item.type,
+        rule: item.rule || null,
+        created_at: item.created_at,
+        updated_at: item.updated_at
+    };
+}
+
+// Helper function to run a query and follow every page
+async function queryAll(params) {
+    const items = [];
+    const pageParams = { ...params };
+    do {
+        const result = await dynamodb.query(pageParams).promise();
+        items.push(...result.Items);
+        pageParams.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (pageParams.ExclusiveStartKey);
+    return items;
+}
+
+// Helper function to get one of the user's collections
+async function getCollection(userId, collectionId) {
+    const result = await dynamodb.get({
+        TableName: collectionsTableName,
+        Key: { user_id: userId, sk: collectionSortKey(collectionId) }
+    }).promise();
+    return result.Item || null;
+}
+
+// Helper function to list the user's collections, with image counts for manual ones
+async function getCollectionsFromDynamoDB(userId) {
+    const items = await queryAll({
+        TableName: collectionsTableName,
+        KeyConditionExpression: 'user_id = :userId AND begins_with(sk, :prefix)',
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':prefix': 'COLLECTION#'
+        }
+    });
+
+    return Promise.all(items.map(async (item) => {
+        const collection = toCollection(item);
+        if (item.type === 'manual') {
+            const result = await dynamodb.query({
+                TableName: collectionsTableName,
+                KeyConditionExpression: 'user_id = :userId AND begins_with(sk, :prefix)',
+                ExpressionAttributeValues: {
+                    ':userId': userId,
+                    ':prefix': membershipSortKey(item.collection_id)
+                },
+                Select: 'COUNT'
+            }).promise();
+            collection.imageCount = result.Count;
+        }
+        return collection;
+    }));
+}
+
+// Helper function to create a collection; a rule makes it a smart collection
+async function saveCollectionToDynamoDB(userId, name, rule) {
+    const timestamp = new Date().toISOString();
+    const collectionId = crypto.randomUUID();
+    const item = {
+        user_id: userId,
+        sk: collectionSortKey(collectionId),
+        collection_id: collectionId,
+        name: name,
+        type: rule ? 'smart' : 'manual',
+        created_at: timestamp,
+        updated_at: timestamp
+    };
+    if (rule) {
+        item.rule = { field: rule.field, value: rule.value };
+    }
+
+    await dynamodb.put({ TableName: collectionsTableName, Item: item }).promise();
+    logger.info('Collection created', { collectionId: collectionId });
+    return item;
+}
+
+// Helper function to rename a collection or change a smart collection's rule
+async function updateCollectionInDynamoDB(userId, collectionId, changes) {
+    const names = { '#name': 'name', '#rule': 'rule' };
+    const values = { ':updatedAt': new Date().toISOString() };
+    const sets = ['updated_at = :updatedAt'];
+
+    if (changes.name !== undefined) {
+        sets.push('#name = :name');
+        values[':name'] = changes.name;
+    }
+    if (changes.rule !== undefined) {
+        sets.push('#rule = :rule');
+        values[':rule'] = { field: changes.rule.field, value: changes.rule.value };
+    }
+
+    try {
+        const result = await dynamodb.update({
+            TableName: collectionsTableName,
+            Key: { user_id: userId, sk: collectionSortKey(collectionId) },
+            UpdateExpression: `SET ${sets.join(', ')}`,
+            ConditionExpression: 'attribute_exists(sk)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Helper function to delete a collection and all of its memberships
+async function deleteCollectionFromDynamoDB(userId, collectionId) {
+    const memberships = await queryAll({
+        TableName: collectionsTableName,
+        KeyConditionExpression: 'user_id = :userId AND begins_with(sk, :prefix)',
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':prefix': membershipSortKey(collectionId)
+        }
+    });
+
+    const keys = [collectionSortKey(collectionId), ...memberships.map((item) => item.sk)];
+    for (let start = 0; start < keys.length; start += BATCH_WRITE_LIMIT) {
+        await batchWriteWithRetry({
+            [collectionsTableName]: keys.slice(start, start + BATCH_WRITE_LIMIT).map((sk) => ({
+                DeleteRequest: { Key: { user_id: userId, sk: sk } }
+            }))
+        });
+    }
+    logger.info('Collection deleted', { collectionId: collectionId, memberships: memberships.length });
+}
+
+// Helper function to add a saved image to a manual collection (idempotent)
+async function addImageToCollection(userId, collectionId, image) {
+    await dynamodb.put({
+        TableName: collectionsTableName,
+        Item: {
+            user_id: userId,
+            sk: membershipSortKey(collectionId, image.id),
+            collection_id: collectionId,
+            image_id: image.id,
+            image_created_at: image.created_at,
+            added_at: new Date().toISOString()
+        }
+    }).promise();
+}
+
+// Helper function to remove a saved image from a manual collection
+async function removeImageFromCollection(userId, collectionId, imageId) {
+    const result = await dynamodb.delete({
+        TableName: collectionsTableName,
+        Key: { user_id: userId, sk: membershipSortKey(collectionId, imageId) },
+        ReturnValues: 'ALL_OLD'
+    }).promise();
+    return Boolean(result.Attributes);
+}
+
+// Helper function to drop the memberships of deleted images from every collection
+async function removeImagesFromAllCollections(userId, imageIds) {
+    if (!collectionsTableName || imageIds.length === 0) {
+        return;
+    }
+
+    const wanted = new Set(imageIds);
+    const memberships = await queryAll({
+        TableName: collectionsTableName,
+        KeyConditionExpression: 'user_id = :userId AND begins_with(sk, :prefix)',
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':prefix': 'MEMBER#'
+        }
+    });
+
+    const stale = memberships.filter((item) => wanted.has(item.image_id));
+    for (let start = 0; start < stale.length; start += BATCH_WRITE_LIMIT) {
+        await batchWriteWithRetry({
+            [collectionsTableName]: stale.slice(start, start + BATCH_WRITE_LIMIT).map((item) => ({
+                DeleteRequest: { Key: { user_id: userId, sk: item.sk } }
+            }))
+        });
+    }
+}
+
+// Helper function to get one page of the images in a manual collection
+async function getManualCollectionImages(userId, collectionId, limit, startKey) {
+    const params = {
+        TableName: collectionsTableName,
+        KeyConditionExpression: 'user_id = :userId AND begins_with(sk, :prefix)',
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':prefix': membershipSortKey(collectionId)
+        },
+        Limit: limit
+    };
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    const result = await dynamodb.query(params).promise();
+    if (result.Items.length === 0) {
+        return { items: [], lastEvaluatedKey: result.LastEvaluatedKey || null };
+    }
+
+    const images = await dynamodb.batchGet({
+        RequestItems: {
+            [tableName]: {
+                Keys: result.Items.map((membership) => ({
+                    id: membership.image_id,
+                    created_at: membership.image_created_at
+                }))
+            }
+        }
+    }).promise();
+
+    // Keep the membership order and skip images that no longer exist
+    const byId = new Map((images.Responses[tableName] || []).map((image) => [image.id, image]));
+    return {
+        items: result.Items.map((membership) => byId.get(membership.image_id)).filter(Boolean),
+        lastEvaluatedKey: result.LastEvaluatedKey || null
+    };
+}
+
+// Helper function to get one page of the images matching a smart collection rule
+async function getSmartCollectionImages(userId, rule, limit, startKey) {
+    const params = {
+        TableName: tableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        FilterExpression: '#field = :value',
+        ExpressionAttributeNames: { '#field': rule.field },
+        ExpressionAttributeValues: {
+            ':userId': userId,
+            ':value': rule.value
+        },
+        ScanIndexForward: false
+    };
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    // The filter runs after Limit, so keep reading until the page is full
+    const items = [];
+    do {
+        params.Limit = limit - items.length;
+        const result = await dynamodb.query(params).promise();
+        items.push(...result.Items);
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey && items.length < limit);
+
+    return { items: items, lastEvaluatedKey: params.ExclusiveStartKey || null };
+}
+
+// Helper function to shape a share link for its owner
+function toShare(item) {
+    return {
+        token: item.share_token,
+        title: item.title || null,
+        scope: item.scope,
+        collectionId: item.collection_id || null,
+        imageIds: item.image_ids || null,
+        created_at: item.created_at,
+        expires_at: item.expires_at ? new Date(item.expires_at * 1000).toISOString() : null
+    };
+}
+
+// Helper function to shape a saved image for a public share page. Private
+// fields such as notes and the owner's user id are left out.
+function toPublicImage(item) {
+    return {
+        id: item.id,
+        image_url: item.image_url,
+        breed_display_name: item.breed_display_name || item.breed || null,
+        description: item.description || null,
+        tags: item.tags || [],
+        rating: item.rating || null,
+        created_at: item.created_at
+    };
+}
+
+// Helper function to tell whether a share link has passed its expiry. TTL
+// deletion can lag by hours, so expired links are also rejected on read.
+function isShareExpired(item) {
+    return Boolean(item.expires_at) && item.expires_at <= Math.floor(Date.now() / 1000);
+}
+
+async function getShare(shareToken) {
+    const result = await dynamodb.get({
+        TableName: sharesTableName,
+        Key: { share_token: shareToken }
+    }).promise();
+    return result.Item && !isShareExpired(result.Item) ? result.Item : null;
+}
+
+// Helper function to list a user's share links that have not expired, newest first
+async function getSharesFromDynamoDB(userId) {
+    const items = await queryAll({
+        TableName: sharesTableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ScanIndexForward: false
+    });
+    return items.filter((item) => !isShareExpired(item));
+}
+
+async function saveShareToDynamoDB(userId, share) {
+    const now = new Date();
+    const item = {
+        share_token: crypto.randomBytes(24).toString('base64url'),
+        user_id: userId,
+        title: share.title,
+        scope: share.scope,
+        created_at: now.toISOString()
+    };
+    if (share.collectionId) {
+        item.collection_id = share.collectionId;
+    }
+    if (share.images) {
+        // The full key of each image lets the public route read a page of them
+        // with one batchGet
+        item.image_ids = share.images.map((image) => image.id);
+        item.image_keys = share.images.map((image) => ({ id: image.id, created_at: image.created_at }));
+    }
+    if (share.expiresInDays) {
+        item.expires_at = Math.floor(now.getTime() / 1000) + share.expiresInDays * 24 * 60 * 60;
+    }
+
+    await dynamodb.put({
+        TableName: sharesTableName,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(share_token)'
+    }).promise();
+    logger.info('Share link created', { scope: share.scope });
+    return item;
+}
+
+// Helper function to revoke a share link. Returns false when the link does not
+// exist or belongs to someone else.
+async function deleteShareFromDynamoDB(userId, shareToken) {
+    try {
+        await dynamodb.delete({
+            TableName: sharesTableName,
+            Key: { share_token: shareToken },
+            ConditionExpression: 'user_id = :userId',
+            ExpressionAttributeValues: { ':userId': userId }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Helper function to read one page of the images a share link covers.
+// Returns null when what the link pointed at (a collection) is gone.
+async function getSharedImages(share, limit, startKey) {
+    if (share.scope === 'images') {
+        return getListedSharedImages(share, limit, startKey);
+    }
+    if (share.scope === 'collection') {
+        const collection = await getCollection(share.user_id, share.collection_id);
+        if (!collection) {
+            return null;
+        }
+        return collection.type === 'smart'
+            ? getSmartCollectionImages(share.user_id, collection.rule, limit, startKey)
+            : getManualCollectionImages(share.user_id, collection.collection_id, limit, startKey);
+    }
+    return getSavedImages(share.user_id, limit, startKey);
+}
+
+// Helper function to get one page of the images listed on a share link. The
+// cursor holds the position in the link's image_keys; each page is read with
+// one batchGet, and images deleted since the link was made are skipped.
+async function getListedSharedImages(share, limit, startKey) {
+    const start = startKey ? startKey.position : 0;
+    const keys = share.image_keys.slice(start, start + limit);
+    const end = start + keys.length;
+    if (keys.length === 0) {
+        return { items: [], lastEvaluatedKey: null };
+    }
+
+    const images = await dynamodb.batchGet({
+        RequestItems: {
+            [tableName]: { Keys: keys }
+        }
+    }).promise();
+
+    // Keep the order the images were shared in
+    const byId = new Map((images.Responses[tableName] || []).map((image) => [image.id, image]));
+    return {
+        items: keys.map((key) => byId.get(key.id)).filter((image) => image && image.user_id === share.user_id),
+        lastEvaluatedKey: end < share.image_keys.length ? { position: end } : null
+    };
+}
+
+// Images flagged by users live in the flags table, one item per image URL. Each
+// user can report an image once; their reports are kept on the item with the
+// reporter's saved copy, if any, so an admin can remove it.
+
+// Id of the flag of an image URL
+function buildFlagId(imageUrl) {
+    return crypto.createHash('sha256').update(imageUrl).digest('hex').slice(0, 32);
+}
+
+function toFlag(item) {
+    const reports = item.reports || [];
+    const reasons = {};
+    FLAG_REASONS.forEach((reason) => {
+        reasons[reason] = reports.filter((report) => report.reason === reason).length;
+    });
+    return {
+        id: item.flag_id,
+        imageUrl: item.image_url,
+        status: item.status,
+        reportCount: reports.length,
+        reasons: reasons,
+        reports: reports.map((report) => ({
+            reporterId: report.reporter_id,
+            reason: report.reason,
+            note: report.note || null,
+            savedImageId: report.saved_image_id || null,
+            created_at: report.created_at
+        })),
+        resolvedBy: item.resolved_by || null,
+        resolutionNote: item.resolution_note || null,
+        created_at: item.created_at,
+        last_flagged_at: item.last_flagged_at,
+        resolved_at: item.resolved_at || null
+    };
+}
+
+async function getFlag(flagId) {
+    const result = await dynamodb.get({
+        TableName: flagsTableName,
+        Key: { flag_id: flagId }
+    }).promise();
+    return result.Item || null;
+}
+
+// Helper function to add a user's report to the flag of an image, creating the
+// flag or reopening a closed one. Returns the flag item, or null when the user
+// had already reported the image.
+async function addFlagReport(userId, imageUrl, report) {
+    const now = new Date().toISOString();
+    try {
+        const result = await dynamodb.update({
+            TableName: flagsTableName,
+            Key: { flag_id: buildFlagId(imageUrl) },
+            UpdateExpression: 'SET image_url = :imageUrl, #status = :open, last_flagged_at = :now, '
+                + 'created_at = if_not_exists(created_at, :now), reports = list_append(if_not_exists(reports, :none), :report) '
+                + 'ADD reporter_ids :reporter '
+                + 'REMOVE resolved_by, resolved_at, resolution_note',
+            ConditionExpression: 'attribute_not_exists(reporter_ids) OR NOT contains(reporter_ids, :reporterId)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':imageUrl': imageUrl,
+                ':open': 'open',
+                ':now': now,
+                ':none': [],
+                ':report': [{ reporter_id: userId, created_at: now, ...report }],
+                ':reporter': dynamodb.createSet([userId]),
+                ':reporterId': userId
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Helper function to list flags with a status, most recently flagged first
+async function getFlagsByStatus(status, limit, startKey) {
+    const params = {
+        TableName: flagsTableName,
+        IndexName: 'status-index',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': status },
+        ScanIndexForward: false,
+        Limit: limit
+    };
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    const result = await dynamodb.query(params).promise();
+    return { items: result.Items, lastEvaluatedKey: result.LastEvaluatedKey || null };
+}
+
+// Helper function to set the status of a flag on review. Closing it records who
+// did so and why; reopening clears that. Returns the updated item, or null when
+// the flag does not exist.
+async function setFlagStatus(flagId, status, adminId, note) {
+    const params = {
+        TableName: flagsTableName,
+        Key: { flag_id: flagId },
+        ConditionExpression: 'attribute_exists(flag_id)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': status },
+        ReturnValues: 'ALL_NEW'
+    };
+    if (status === 'open') {
+        params.UpdateExpression = 'SET #status = :status REMOVE resolved_by, resolved_at, resolution_note';
+    } else {
+        params.UpdateExpression = 'SET #status = :status, resolved_by = :adminId, resolved_at = :now, resolution_note = :note';
+        Object.assign(params.ExpressionAttributeValues, {
+            ':adminId': adminId,
+            ':now': new Date().toISOString(),
+            ':note': note || null
+        });
+    }
+
+    try {
+        const result = await dynamodb.update(params).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Every call to an admin route is recorded in the audit table, partitioned by
+// UTC day and sorted by time, so a day's trail is one query.
+
+function toAuditEntry(item) {
+    return {
+        id: item.sk,
+        actorId: item.actor_id,
+        actorEmail: item.actor_email || null,
+        action: item.action,
+        params: item.params || {},
+        query: item.query || {},
+        targetUserId: item.target_user_id || null,
+        details: item.details || null,
+        statusCode: item.status_code,
+        outcome: item.outcome,
+        requestId: item.request_id || null,
+        created_at: item.created_at
+    };
+}
+
+// Helper function to record an admin call: who called which route with which
+// path and query parameters, the outcome, and the target user and details the
+// handler put in ctx.audit.
+// A failed write is logged with the whole entry, so the action stays on record.
+async function recordAuditEntry(ctx, route, response) {
+    const now = new Date().toISOString();
+    const item = {
+        audit_date: now.slice(0, 10),
+        sk: `${now}#${ctx.requestId || crypto.randomUUID()}`,
+        actor_id: ctx.userId,
+        actor_email: ctx.claims.email || null,
+        action: `${route.method} ${route.path}`,
+        params: ctx.params,
+        query: ctx.query,
+        target_user_id: ctx.audit.targetUserId || null,
+        details: ctx.audit.details || null,
+        status_code: response.statusCode,
+        outcome: response.statusCode < 400 ? 'success' : 'failure',
+        request_id: ctx.requestId || null,
+        created_at: now
+    };
+
+    try {
+        await dynamodb.put({ TableName: auditTableName, Item: item }).promise();
+    } catch (error) {
+        logger.error('Writing audit entry failed', { auditEntry: item, error: error });
+    }
+}
+
+// Helper function to list a day's audit entries, newest first
+async function getAuditEntries(date, limit, startKey) {
+    const params = {
+        TableName: auditTableName,
+        KeyConditionExpression: 'audit_date = :date',
+        ExpressionAttributeValues: { ':date': date },
+        ScanIndexForward: false,
+        Limit: limit
+    };
+    if (startKey) {
+        params.ExclusiveStartKey = startKey;
+    }
+
+    const result = await dynamodb.query(params).promise();
+    return { items: result.Items, lastEvaluatedKey: result.LastEvaluatedKey || null };
+}
+
+// Helper function to read the saved image counts of several users from their
+// counters in the quotas table. Users without a counter are counted directly.
+async function getSavedImageCounts(userIds) {
+    const counts = {};
+    if (userIds.length === 0) {
+        return counts;
+    }
+
+    const result = await dynamodb.batchGet({
+        RequestItems: {
+            [quotasTableName]: { Keys: userIds.map((userId) => ({ quota_key: savedImageCounterKey(userId) })) }
+        }
+    }).promise();
+    (result.Responses[quotasTableName] || []).forEach((counter) => {
+        counts[counter.user_id] = counter.saved_count;
+    });
+
+    for (const userId of userIds) {
+        if (counts[userId] === undefined) {
+            counts[userId] = await countSavedImages(userId);
+        }
+    }
+    return counts;
+}
+
+// Helper function to read the images saved on each of the last days UTC days,
+// oldest first: [{ date, saves }]. Days without saves count 0.
+async function getDailySaves(days) {
+    const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+    const dates = Array.from({ length: days }, (_, index) =>
+        new Date(today - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+
+    const result = await dynamodb.batchGet({
+        RequestItems: {
+            [quotasTableName]: { Keys: dates.map((date) => ({ quota_key: dailySavesKey(date) })) }
+        }
+    }).promise();
+    const saves = {};
+    (result.Responses[quotasTableName] || []).forEach((item) => {
+        saves[item.quota_key] = item.saves;
+    });
+
+    return dates.map((date) => ({ date: date, saves: saves[dailySavesKey(date)] || 0 }));
+}
+
+// Helper function to count the flags with a status
+async function countFlags(status) {
+    const params = {
+        TableName: flagsTableName,
+        IndexName: 'status-index',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': status },
+        Select: 'COUNT'
+    };
+
+    let total = 0;
+    do {
+        const result = await dynamodb.query(params).promise();
+        total += result.Count;
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return total;
+}
+
+// Helper function to build the Cognito ListUsers filter for an admin user
+// search: an exact match on the user id (sub) when the term looks like one,
+// else an email prefix match
+function userSearchFilter(search) {
+    const term = search.trim();
+    const value = term.replace(/["\\]/g, '\\$&');
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(term)
+        ? `sub = "${value}"`
+        : `email ^= "${value}"`;
+}
+
+// Helper function for the account purge: page through a query and batch delete
+// every item it returns. buildRequests maps a page of items to batch write
+// RequestItems holding at most BATCH_WRITE_LIMIT requests. Stops when the Lambda
+// is close to its timeout; returns how many items were deleted and whether the
+// query was exhausted.
+async function purgeQueryResults(params, itemsPerBatch, buildRequests, context) {
+    const pageParams = { ...params, Limit: 100 };
+    let deleted = 0;
+
+    do {
+        const result = await dynamodb.query(pageParams).promise();
+        for (let start = 0; start < result.Items.length; start += itemsPerBatch) {
+            const unprocessed = await batchWriteWithRetry(buildRequests(result.Items.slice(start, start + itemsPerBatch)));
+            if (Object.keys(unprocessed).length > 0) {
+                throw new ApiError(503, 'PURGE_INCOMPLETE', 'Some items could not be deleted; try the purge again');
+            }
+        }
+        deleted += result.Items.length;
+        pageParams.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (pageParams.ExclusiveStartKey && (!context || context.getRemainingTimeInMillis() > 10000));
+
+    return { deleted: deleted, complete: !pageParams.ExclusiveStartKey };
+}
+
+// Helper function to delete everything a user owns: share links first so public
+// access ends at once, then collections and memberships, then saved images with
+// their guard records and the saved images counter. Client Idempotency-Key
+// records and windowed quota counters cannot be looked up by user and are left
+// to expire through TTL.
+// Returns per-table counts and complete: false when it ran out of time, in
+// which case calling it again carries on.
+async function purgeUserData(userId, context) {
+    const counts = { shares: 0, collections: 0, savedImages: 0, mirroredImages: 0 };
+    const steps = [
+        {
+            name: 'shares',
+            params: {
+                TableName: sharesTableName,
+                IndexName: 'user-index',
+                KeyConditionExpression: 'user_id = :userId',
+                ExpressionAttributeValues: { ':userId': userId }
+            },
+            itemsPerBatch: BATCH_WRITE_LIMIT,
+            buildRequests: (items) => ({
+                [sharesTableName]: items.map((item) => ({
+                    DeleteRequest: { Key: { share_token: item.share_token } }
+                }))
+            })
+        },
+        {
+            name: 'collections',
+            params: {
+                TableName: collectionsTableName,
+                KeyConditionExpression: 'user_id = :userId',
+                ExpressionAttributeValues: { ':userId': userId }
+            },
+            itemsPerBatch: BATCH_WRITE_LIMIT,
+            buildRequests: (items) => ({
+                [collectionsTableName]: items.map((item) => ({
+                    DeleteRequest: { Key: { user_id: userId, sk: item.sk } }
+                }))
+            })
+        },
+        {
+            name: 'savedImages',
+            params: {
+                TableName: tableName,
+                IndexName: 'user-index',
+                KeyConditionExpression: 'user_id = :userId',
+                ExpressionAttributeValues: { ':userId': userId }
+            },
+            // Each image takes two write requests (item + guard)
+            itemsPerBatch: Math.floor(BATCH_WRITE_LIMIT / 2),
+            buildRequests: (items) => ({
+                [tableName]: items.map((item) => ({
+                    DeleteRequest: { Key: { id: item.id, created_at: item.created_at } }
+                })),
+                [idempotencyTableName]: items.map((item) => ({
+                    DeleteRequest: { Key: { idempotency_key: savedImageGuardKey(item.id) } }
+                }))
             })
+        }
+    ];
+
+    for (const step of steps) {
+        const result = await purgeQueryResults(step.params, step.itemsPerBatch, step.buildRequests, context);
+        counts[step.name] = result.deleted;
+        if (!result.complete) {
+            logger.info('Purge paused', { step: step.name, deleted: counts });
+            return { deleted: counts, complete: false };
+        }
+    }
+
+    await dynamodb.delete({
+        TableName: quotasTableName,
+        Key: { quota_key: savedImageCounterKey(userId) }
+    }).promise();
+
+    // Mirrored copies go last, so a purge that fails here is finished by calling again
+    if (imageStore.enabled) {
+        counts.mirroredImages = await imageStore.removeUser(userId);
+    }
+
+    logger.info('Purge complete', { deleted: counts });
+    return { deleted: counts, complete: true };
+}
+
+// Helper function to read every saved image of a user, newest first
+async function getAllSavedImages(userId) {
+    return queryAll({
+        TableName: tableName,
+        IndexName: 'user-index',
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ScanIndexForward: false
+    });
+}
+
+// Helper function to shape a saved image as an export record
+function toExportRecord(item) {
+    return {
+        id: item.id,
+        image_url: item.image_url,
+        breed: item.breed || null,
+        sub_breed: item.sub_breed || null,
+        breed_display_name: item.breed_display_name || null,
+        description: item.description || '',
+        notes: item.notes || '',
+        tags: item.tags || [],
+        rating: item.rating || null,
+        favorite: Boolean(item.favorite),
+        created_at: item.created_at
+    };
+}
+
+// Helper function to escape one CSV cell. Cells that a spreadsheet would run
+// as a formula are prefixed with a quote.
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = Array.isArray(value) ? value.join(';') : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(record) {
+    return EXPORT_FIELDS.map((field) => toCsvCell(record[field])).join(',');
+}
+
+// Helper function to build the body of a JSON or CSV export. Its parts are
+// measured as they are made, so an export over MAX_EXPORT_RESPONSE_BYTES is
+// refused with EXPORT_TOO_LARGE before the whole body is put together.
+function buildExportBody(format, records) {
+    const parts = [];
+    let size = 0;
+    const add = (part) => {
+        size += Buffer.byteLength(part);
+        if (size > MAX_EXPORT_RESPONSE_BYTES) {
+            throw new ApiError(413, 'EXPORT_TOO_LARGE', 'The export is too large to download directly; use format=zip', {
+                maxBytes: MAX_EXPORT_RESPONSE_BYTES
+            });
+        }
+        parts.push(part);
+    };
+
+    if (format === 'csv') {
+        add(`${EXPORT_FIELDS.join(',')}\r\n`);
+        records.forEach((record) => add(`${toCsvRow(record)}\r\n`));
+    } else {
+        // The layout of JSON.stringify(export, null, 2), written one record at a time
+        add(`{\n  "exported_at": ${JSON.stringify(new Date().toISOString())},\n  "count": ${records.length},\n  "records": [`);
+        records.forEach((record, index) => {
+            add(`${index > 0 ? ',' : ''}\n    ${JSON.stringify(record, null, 2).replace(/\n/g, '\n    ')}`);
+        });
+        add(records.length > 0 ? '\n  ]\n}' : ']\n}');
+    }
+    return parts.join('');
+}
+
+// Helper function to parse CSV text into rows of cells. Handles quoted cells
+// with commas, line breaks and doubled quotes.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+// Helper function to undo the formula guard toCsvCell adds on export
+function fromCsvCell(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// Helper function to turn an uploaded JSON or CSV export into plain records.
+// JSON may be the export document ({ records: [...] }) or a bare array.
+// Returns { records } or { error }.
+function parseImportFile(format, data) {
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+            return { error: 'data is not valid JSON' };
+        }
+        const records = Array.isArray(parsed) ? parsed : parsed && parsed.records;
+        if (!Array.isArray(records)) {
+            return { error: 'JSON must be an array of records or an object with a records array' };
+        }
+        return { records: records };
+    }
+
+    const [header, ...rows] = parseCsv(data.replace(/^\uFEFF/, ''));
+    if (!header || !header.map((name) => name.trim().toLowerCase()).includes('image_url')) {
+        return { error: 'CSV must have a header row with an image_url column' };
+    }
+    const columns = header.map((name) => name.trim().toLowerCase());
+    return {
+        records: rows.map((cells) => {
+            const record = {};
+            columns.forEach((column, index) => {
+                const value = fromCsvCell((cells[index] || '').trim());
+                if (value) {
+                    record[column] = value;
+                }
+            });
+            if (record.tags) {
+                record.tags = record.tags.split(';');
+            }
+            if (record.rating) {
+                record.rating = Number(record.rating);
+            }
+            if (record.favorite) {
+                record.favorite = record.favorite.toLowerCase() === 'true';
+            }
+            return record;
+        })
+    };
+}
+
+// Helper function to validate one import record. Returns { imageUrl, fields }
+// ready for buildSavedImageItem, or { error }.
+function validateImportRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { error: 'row must be an object' };
+    }
+
+    const urlError = validateImageUrl(record.image_url);
+    if (urlError) {
+        return { error: `image_url ${urlError}` };
+    }
+
+    const fields = {};
+    if (record.breed !== undefined && record.breed !== null && record.breed !== '') {
+        if (typeof record.breed !== 'string' || !/^[a-z]+$/i.test(record.breed)) {
+            return { error: 'breed must contain letters only' };
+        }
+        fields.breed = record.breed.toLowerCase();
+        if (record.sub_breed) {
+            if (typeof record.sub_breed !== 'string' || !/^[a-z]+$/i.test(record.sub_breed)) {
+                return { error: 'sub_breed must contain letters only' };
+            }
+            fields.subBreed = record.sub_breed.toLowerCase();
+        }
+    }
+    if (record.description !== undefined && record.description !== null) {
+        if (typeof record.description !== 'string' || record.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        fields.description = record.description.trim();
+    }
+    if (record.notes !== undefined && record.notes !== null) {
+        if (typeof record.notes !== 'string' || record.notes.length > MAX_NOTES_LENGTH) {
+            return { error: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters` };
+        }
+        fields.notes = record.notes;
+    }
+    if (record.tags !== undefined && record.tags !== null) {
+        const result = normalizeTags(record.tags);
+        if (result.error) {
+            return { error: result.error };
+        }
+        fields.tags = result.tags;
+    }
+    if (record.rating !== undefined && record.rating !== null) {
+        if (!Number.isInteger(record.rating) || record.rating < MIN_RATING || record.rating > MAX_RATING) {
+            return { error: `rating must be an integer from ${MIN_RATING} to ${MAX_RATING}` };
+        }
+        fields.rating = record.rating;
+    }
+    if (record.favorite !== undefined && record.favorite !== null) {
+        if (typeof record.favorite !== 'boolean') {
+            return { error: 'favorite must be true or false' };
+        }
+        fields.favorite = record.favorite;
+    }
+    // Keep the original save time so imported dogs sort where they were
+    if (record.created_at) {
+        const createdAt = new Date(record.created_at);
+        if (Number.isNaN(createdAt.getTime())) {
+            return { error: 'created_at must be an ISO 8601 date' };
+        }
+        fields.createdAt = createdAt.toISOString();
+    }
+
+    return { imageUrl: new URL(record.image_url).toString(), fields: fields };
+}
+
+// Helper function to import validated rows for a user. Rows whose guard record
+// already exists are skipped; the rest are written in transactions of
+// IMPORT_TRANSACTION_ROWS rows. A transaction that loses a race with another
+// save or would pass the saved images cap falls back to one guarded write per
+// row; rows over the cap are rejected. Returns { [rowIndex]: result }.
+async function importSavedImages(userId, rows) {
+    const results = {};
+    await ensureSavedImageCounter(userId);
+
+    // Look up existing guards, 100 keys per batchGet
+    const existing = new Set();
+    for (let start = 0; start < rows.length; start += 100) {
+        const keys = rows.slice(start, start + 100).map((row) => ({ idempotency_key: savedImageGuardKey(row.item.id) }));
+        const found = await dynamodb.batchGet({ RequestItems: { [idempotencyTableName]: { Keys: keys } } }).promise();
+        (found.Responses[idempotencyTableName] || []).forEach((guard) => existing.add(guard.image_id));
+    }
+
+    // Images saved before ids were derived from the URL have no guard record
+    const legacyIds = rows.some((row) => !existing.has(row.item.id))
+        ? await findLegacySavedImageIds(userId)
+        : new Map();
+
+    const pending = [];
+    for (const row of rows) {
+        if (existing.has(row.item.id)) {
+            results[row.index] = { status: 'skipped', reason: 'already saved', id: row.item.id };
+        } else if (legacyIds.has(row.item.image_url)) {
+            results[row.index] = { status: 'skipped', reason: 'already saved', id: legacyIds.get(row.item.image_url) };
+        } else {
+            pending.push(row);
+        }
+    }
+
+    for (let start = 0; start < pending.length; start += IMPORT_TRANSACTION_ROWS) {
+        const chunk = pending.slice(start, start + IMPORT_TRANSACTION_ROWS);
+        try {
+            await dynamodb.transactWrite({
+                TransactItems: chunk.flatMap((row) => [
+                    {
+                        Put: {
+                            TableName: idempotencyTableName,
+                            Item: {
+                                idempotency_key: savedImageGuardKey(row.item.id),
+                                user_id: userId,
+                                image_id: row.item.id,
+                                created_at: row.item.created_at
+                            },
+                            ConditionExpression: 'attribute_not_exists(idempotency_key)'
+                        }
+                    },
+                    { Put: { TableName: tableName, Item: row.item } }
+                ]).concat({ Update: savedImageCounterUpdate(userId, chunk.length) })
+            }).promise();
+            chunk.forEach((row) => {
+                results[row.index] = { status: 'imported', id: row.item.id };
+            });
+        } catch (error) {
+            if (!isConditionalCheckFailure(error)) {
+                throw error;
+            }
+            for (const row of chunk) {
+                let saved;
+                try {
+                    saved = await putSavedImage(row.item);
+                } catch (rowError) {
+                    if (!(rowError instanceof ApiError) || rowError.code !== 'SAVED_IMAGES_LIMIT_REACHED') {
+                        throw rowError;
+                    }
+                    results[row.index] = { status: 'rejected', reason: rowError.message };
+                    continue;
+                }
+                results[row.index] = saved.created
+                    ? { status: 'imported', id: saved.item.id }
+                    : { status: 'skipped', reason: 'already saved', id: saved.item.id };
+            }
+        }
+    }
+
+    const imported = Object.values(results).filter((r) => r.status === 'imported').length;
+    metrics.count('ImagesImported', imported);
+    await recordDailySaves(imported);
+    logger.info('Import finished', { imported: imported, rows: rows.length });
+    return results;
+}
+
+// Helper function to write a ZIP export to output: the newest images as files
+// plus a manifest.json with every record. Each image is added to the archive as
+// soon as it is downloaded. Records whose image is not in the archive (past the
+// limits, out of time, or the download failed) have file: null. Resolves to the
+// number of images written.
+async function writeZipExport(records, output, context) {
+    const zip = createZipWriter(output);
+    const included = records.slice(0, MAX_ZIP_EXPORT_IMAGES);
+    const files = new Array(included.length);
+    const remainingMs = context ? context.getRemainingTimeInMillis() - ZIP_UPLOAD_RESERVE_MS : ZIP_DOWNLOAD_BUDGET_MS;
+    const deadline = Date.now() + Math.min(ZIP_DOWNLOAD_BUDGET_MS, remainingMs);
+    let totalBytes = 0;
+
+    // Download a few images at a time until the time or size budget runs out
+    let next = 0;
+    const worker = async () => {
+        while (next < included.length) {
+            const timeLeft = deadline - Date.now();
+            if (timeLeft <= 0 || totalBytes >= MAX_ZIP_EXPORT_BYTES) {
+                return;
+            }
+            const index = next++;
+            const record = included[index];
+            const extension = (record.image_url.match(/\.(jpe?g|png|gif|webp)$/i) || [null, 'jpg'])[1].toLowerCase();
+            const name = `images/${String(index + 1).padStart(4, '0')}-${record.breed || 'dog'}.${extension}`;
+            let data;
+            try {
+                ({ data } = await downloadFile(record.image_url, Math.min(ZIP_DOWNLOAD_TIMEOUT_MS, timeLeft)));
+            } catch (error) {
+                logger.warn('Export image download failed', { imageUrl: record.image_url, error: error.message });
+                continue;
+            }
+            const fits = totalBytes + data.length <= MAX_ZIP_EXPORT_BYTES;
+            totalBytes += data.length;
+            if (fits) {
+                await zip.addFile(name, data);
+                files[index] = name;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: ZIP_DOWNLOAD_CONCURRENCY }, worker));
+    if (next < included.length) {
+        logger.warn('Export stopped downloading images early', { downloaded: next, wanted: included.length, totalBytes: totalBytes });
+    }
+
+    const manifest = {
+        exported_at: new Date().toISOString(),
+        count: records.length,
+        records: records.map((record, index) => ({ ...record, file: files[index] || null }))
+    };
+    await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.finish();
+    return files.filter(Boolean).length;
+}
+
+// Helper function to check that a saved image URL is an https URL on an allowed
+// host. Returns an error message or null.
+function validateImageUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_IMAGE_URL_LENGTH) {
+        return `must be a URL of at most ${MAX_IMAGE_URL_LENGTH} characters`;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return 'must be a valid URL';
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) {
+        return 'must be an https URL without credentials';
+    }
+    if (!ALLOWED_IMAGE_HOSTS.includes(url.hostname.toLowerCase())) {
+        return `must be hosted on ${ALLOWED_IMAGE_HOSTS.join(', ')}`;
+    }
+    return null;
+}
+
+// Helper function to check one value against a field rule, adding an
+// { field, message } entry to errors for each problem found.
+//
+// A rule has a type (string, integer, boolean, array or object) and optionally:
+// required, nullable, minLength / maxLength (strings, minLength on the trimmed
+// value), min / max (integers), enum, pattern with patternMessage,
+// minItems / maxItems / items (arrays), fields (objects) and check, a function
+// returning an extra error message or null.
+function validateValue(value, rule, field, errors) {
+    const fail = (message) => errors.push({ field: field, message: message });
+
+    if (value === null) {
+        if (!rule.nullable) {
+            fail('must not be null');
+        }
+        return;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return fail('must be a string');
+            }
+            if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+                return fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return fail(`must be one of: ${rule.enum.join(', ')}`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return fail(rule.patternMessage || 'has an invalid format');
+            }
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return fail('must be an integer');
+            }
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                return fail(rule.max === undefined ? `must be at least ${rule.min}` : `must be from ${rule.min} to ${rule.max}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return fail('must be true or false');
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return fail('must be an array');
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return fail(rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail(`must have at most ${rule.maxItems} items`);
+            }
+            if (rule.items) {
+                value.forEach((item, index) => validateValue(item, rule.items, `${field}[${index}]`, errors));
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return fail('must be an object');
+            }
+            if (rule.fields) {
+                errors.push(...validateFields(value, rule.fields, `${field}.`));
+            }
+            break;
+        default:
+            throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+
+    if (rule.check) {
+        const message = rule.check(value);
+        if (message) {
+            fail(message);
+        }
+    }
+}
+
+// Helper function to validate an object against a schema of field rules.
+// Fields the schema does not list are rejected unless allowUnknown is set.
+// Returns a list of { field, message }.
+function validateFields(values, schema, prefix = '', allowUnknown = false) {
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(schema)) {
+        if (values[name] === undefined) {
+            if (rule.required) {
+                errors.push({ field: prefix + name, message: 'is required' });
+            }
+            continue;
+        }
+        validateValue(values[name], rule, prefix + name, errors);
+    }
+    if (!allowUnknown) {
+        Object.keys(values)
+            .filter((name) => !Object.prototype.hasOwnProperty.call(schema, name))
+            .forEach((name) => errors.push({ field: prefix + name, message: 'is not a recognized field' }));
+    }
+
+    return errors;
+}
+
+// Helper function to convert query string values to the types their rules expect.
+// Values that do not convert are left as strings so validation reports them.
+function coerceQuery(query, schema) {
+    const coerced = { ...query };
+    for (const [name, rule] of Object.entries(schema)) {
+        const value = coerced[name];
+        if (typeof value !== 'string') {
+            continue;
+        }
+        if (rule.type === 'integer' && /^-?\d+$/.test(value)) {
+            coerced[name] = Number(value);
+        } else if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+            coerced[name] = value === 'true';
+        }
+    }
+    return coerced;
+}
+
+// Helper function to validate the body and query string of a request against
+// the schemas of its route. Unlisted query parameters are ignored; a route
+// without a body schema accepts no body fields. Returns a list of { field, message }.
+function validateRequest(ctx, route) {
+    const errors = [];
+
+    if (typeof ctx.body !== 'object' || ctx.body === null || Array.isArray(ctx.body)) {
+        errors.push({ field: 'body', message: 'must be a JSON object' });
+    } else {
+        errors.push(...validateFields(ctx.body, route.body || {}));
+    }
+    if (route.query) {
+        errors.push(...validateFields(coerceQuery(ctx.query, route.query), route.query, '', true));
+    }
+
+    return errors;
+}
+
+// Request schemas, referenced from the route table
+const breedNameRule = { type: 'string', maxLength: 50, pattern: /^[a-z]+$/i, patternMessage: 'must contain letters only' };
+const idRule = { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH };
+const imageUrlRule = { type: 'string', required: true, check: validateImageUrl };
+const pageQuery = {
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    nextToken: { type: 'string', maxLength: MAX_PAGE_TOKEN_LENGTH }
+};
+const collectionRuleRule = {
+    type: 'object',
+    fields: {
+        field: { type: 'string', required: true, enum: SMART_COLLECTION_FIELDS },
+        value: { type: 'string', required: true, maxLength: 50, pattern: /^[a-z-]+$/, patternMessage: 'must be a lowercase breed or sub-breed name' }
+    }
+};
+const collectionNameRule = { type: 'string', minLength: 1, maxLength: MAX_COLLECTION_NAME_LENGTH };
+
+const schemas = {
+    randomImageQuery: {
+        breed: breedNameRule,
+        subBreed: breedNameRule,
+        count: { type: 'integer', min: 1, max: MAX_RANDOM_IMAGES }
+    },
+    savedImagesQuery: {
+        ...pageQuery,
+        tag: { type: 'string', maxLength: MAX_TAG_LENGTH },
+        sort: { type: 'string', enum: SAVED_IMAGE_SORTS },
+        favorites: { type: 'boolean' },
+        includeTotal: { type: 'boolean' }
+    },
+    pageQuery: pageQuery,
+    saveImageBody: {
+        imageUrl: imageUrlRule,
+        collectionIds: { type: 'array', maxItems: MAX_SAVE_COLLECTIONS, items: idRule }
+    },
+    batchDeleteBody: {
+        ids: { type: 'array', required: true, minItems: 1, maxItems: MAX_BATCH_DELETE, items: idRule }
+    },
+    importBody: {
+        format: { type: 'string', required: true, enum: IMPORT_FORMATS },
+        data: { type: 'string', required: true, minLength: 1, maxLength: MAX_IMPORT_DATA_LENGTH }
+    },
+    updateImageBody: {
+        version: { type: 'integer', required: true, min: 1 },
+        description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+        notes: { type: 'string', maxLength: MAX_NOTES_LENGTH },
+        tags: { type: 'array', maxItems: MAX_TAGS, items: { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH } },
+        rating: { type: 'integer', nullable: true, min: MIN_RATING, max: MAX_RATING },
+        favorite: { type: 'boolean' }
+    },
+    createCollectionBody: {
+        name: { ...collectionNameRule, required: true },
+        rule: { ...collectionRuleRule, nullable: true }
+    },
+    updateCollectionBody: {
+        name: collectionNameRule,
+        rule: collectionRuleRule
+    },
+    createShareBody: {
+        title: { type: 'string', nullable: true, maxLength: MAX_SHARE_TITLE_LENGTH },
+        collectionId: idRule,
+        imageIds: { type: 'array', minItems: 1, maxItems: MAX_SHARE_IMAGES, items: idRule },
+        expiresInDays: { type: 'integer', nullable: true, min: 1, max: MAX_SHARE_EXPIRY_DAYS }
+    },
+    exportQuery: {
+        format: { type: 'string', enum: EXPORT_FORMATS }
+    },
+    purgeBody: {
+        confirmEmail: { type: 'string', required: true, minLength: 1, maxLength: MAX_EMAIL_LENGTH }
+    },
+    flagBody: {
+        imageUrl: imageUrlRule,
+        reason: { type: 'string', required: true, enum: FLAG_REASONS },
+        note: { type: 'string', maxLength: MAX_FLAG_NOTE_LENGTH }
+    },
+    adminUsersQuery: {
+        limit: { type: 'integer', min: 1, max: MAX_ADMIN_USERS_PAGE_SIZE },
+        nextToken: { type: 'string', maxLength: MAX_PAGE_TOKEN_LENGTH },
+        search: { type: 'string', maxLength: MAX_ADMIN_USER_SEARCH_LENGTH }
+    },
+    adminStatsQuery: {
+        days: { type: 'integer', min: 1, max: MAX_STATS_DAYS }
+    },
+    adminDeleteImageBody: {
+        reason: { type: 'string', maxLength: MAX_FLAG_NOTE_LENGTH },
+        flagId: idRule
+    },
+    adminFlagsQuery: {
+        ...pageQuery,
+        status: { type: 'string', enum: FLAG_STATUSES }
+    },
+    adminUpdateFlagBody: {
+        status: { type: 'string', required: true, enum: FLAG_STATUSES },
+        note: { type: 'string', maxLength: MAX_FLAG_NOTE_LENGTH }
+    },
+    adminAuditQuery: {
+        ...pageQuery,
+        date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be a date as YYYY-MM-DD' }
+    },
+    legacySaveBody: {
+        action: { type: 'string', required: true, enum: ['save_image'] },
+        imageUrl: imageUrlRule
+    },
+    legacyDeleteBody: {
+        action: { type: 'string', required: true, enum: ['delete_image'] },
+        imageUrl: { type: 'string', required: true, maxLength: MAX_IMAGE_URL_LENGTH }
+    },
+    legacyFetchBody: {
+        action: { type: 'string', maxLength: 50 },
+        message: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH }
+    }
+};
+
+// Path prefix of the API Gateway resource the Lambda is mounted under
+const API_BASE_PATH = '/api';
+
+// CORS policy applied to every response. Allowed origins come from the
+// comma-separated CORS_ALLOWED_ORIGINS (a single * allows any origin); other
+// origins get no Access-Control-Allow-Origin header, so browsers block them.
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+const CORS_ALLOWED_METHODS = 'GET,POST,PUT,PATCH,DELETE,OPTIONS';
+const CORS_ALLOWED_HEADERS = 'Content-Type,Authorization,Idempotency-Key,X-Correlation-Id';
+const CORS_EXPOSED_HEADERS = [
+    'Content-Disposition', 'Idempotent-Replayed', 'X-Correlation-Id', 'Retry-After',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+    'X-Random-Quota-Limit', 'X-Random-Quota-Remaining', 'X-Random-Quota-Reset',
+    'X-Saved-Images-Limit', 'X-Saved-Images-Remaining'
+].join(',');
+// How long browsers may cache a preflight answer (Chromium caps this at 2 hours)
+const CORS_MAX_AGE_SECONDS = 2 * 60 * 60;
+
+// The app sends a correlation ID with every call. It is logged with each entry
+// and echoed back, so one user action can be followed through the logs. Missing
+// or malformed IDs are replaced with a generated one.
+const CORRELATION_ID_HEADER = 'X-Correlation-Id';
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Helper function to build the CORS headers for a request origin
+function corsHeaders(origin, preflight = false) {
+    const headers = { 'Vary': 'Origin' };
+    const allowAny = CORS_ALLOWED_ORIGINS.includes('*');
+    if (!origin || (!allowAny && !CORS_ALLOWED_ORIGINS.includes(origin))) {
+        return headers;
+    }
+
+    headers['Access-Control-Allow-Origin'] = allowAny ? '*' : origin;
+    if (preflight) {
+        headers['Access-Control-Allow-Methods'] = CORS_ALLOWED_METHODS;
+        headers['Access-Control-Allow-Headers'] = CORS_ALLOWED_HEADERS;
+        headers['Access-Control-Max-Age'] = String(CORS_MAX_AGE_SECONDS);
+    } else {
+        headers['Access-Control-Expose-Headers'] = CORS_EXPOSED_HEADERS;
+    }
+    return headers;
+}
+
+// Helper function to add the CORS headers to a finished response. Every
+// response leaves the handler through here, so routes never set them.
+function withCors(response, origin) {
+    return {
+        ...response,
+        headers: {
+            ...response.headers,
+            ...corsHeaders(origin)
+        }
+    };
+}
+
+// Helper function to build a JSON response
+function jsonResponse(statusCode, body, headers = {}) {
+    return {
+        statusCode: statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+// Helper function to build the error envelope shared by every failure:
+// { code, message, requestId } plus any details such as validation errors
+function errorResponse(statusCode, code, message, requestId, details = {}, headers = {}) {
+    return jsonResponse(statusCode, {
+        code: code,
+        message: message,
+        requestId: requestId || null,
+        ...details
+    }, headers);
+}
+
+// Helper function to build a file download response
+function fileResponse(body, contentType, filename) {
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`
+        },
+        body: body
+    };
+}
+
+// Route handlers. Each receives the request context built by the router.
+
+async function getRandomImage(ctx) {
+    const breed = ctx.query.breed ? ctx.query.breed.toLowerCase() : null;
+    const subBreed = ctx.query.subBreed ? ctx.query.subBreed.toLowerCase() : null;
+    const count = ctx.query.count === undefined ? 1 : Number(ctx.query.count);
+
+    if (subBreed && !breed) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'Invalid request: subBreed requires breed', {
+            errors: [{ field: 'subBreed', message: 'requires breed' }]
+        });
+    }
+
+    const { images: dogImages, fallback, quotaHeaders: randomQuotaHeaders } =
+        await fetchRandomImagesWithinQuota(ctx.userId, breed, subBreed, count);
+
+    return jsonResponse(200, {
+        message: 'Dog image fetched successfully!',
+        timestamp: new Date().toISOString(),
+        path: ctx.path,
+        method: ctx.method,
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        dogData: dogImages[0],
+        dogImages: dogImages,
+        count: dogImages.length,
+        fallback: fallback
+    }, randomQuotaHeaders);
+}
+
+async function listBreeds(ctx) {
+    const breeds = await getBreedCatalog();
+
+    return jsonResponse(200, {
+        message: 'Breeds retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        breeds: breeds,
+        count: breeds.length
+    });
+}
+
+async function listSavedImages(ctx) {
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const sort = ctx.query.sort || 'newest';
+    const options = {
+        tag: ctx.query.tag ? ctx.query.tag.trim().toLowerCase() : null,
+        sort: sort,
+        favoritesOnly: ctx.query.favorites === 'true'
+    };
+    // Each sort and filter reads its own index, whose keys only fit that query
+    const cursorScope = { index: buildSavedImagesQuery(ctx.userId, options).IndexName, tag: options.tag };
+
+    let startKey = null;
+    if (ctx.query.nextToken) {
+        startKey = decodePageToken(ctx.userId, ctx.query.nextToken, cursorScope);
+        if (!startKey) {
+            throw new ApiError(400, 'INVALID_PAGE_TOKEN', 'Invalid or expired nextToken');
+        }
+    }
+
+    const page = await getSavedImages(ctx.userId, limit, startKey, options);
+    const response = {
+        message: 'Saved images retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        path: ctx.path,
+        method: ctx.method,
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        tag: options.tag,
+        sort: options.favoritesOnly ? 'rating' : sort,
+        favoritesOnly: options.favoritesOnly,
+        savedImages: page.items.map(withImageUrls),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(ctx.userId, page.lastEvaluatedKey, cursorScope) : null
+    };
+
+    if (ctx.query.includeTotal === 'true') {
+        response.totalCount = await countSavedImages(ctx.userId, options);
+    }
+
+    return jsonResponse(200, response);
+}
+
+async function createSavedImage(ctx) {
+    // Retried requests that carry the same Idempotency-Key get the original response
+    const clientKey = parseIdempotencyKey(ctx.event);
+    const fingerprint = savedImageRequestFingerprint(ctx.body);
+    if (clientKey) {
+        const stored = await claimIdempotencyKey(ctx.userId, clientKey, fingerprint);
+        if (stored && stored.fingerprint !== fingerprint) {
+            throw new ApiError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+        }
+        if (stored && stored.status === 'in_progress') {
+            throw new ApiError(409, 'IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed');
+        }
+        if (stored) {
+            const body = JSON.parse(stored.response_body);
+            return jsonResponse(stored.status_code, { ...body, savedImage: withImageUrls(body.savedImage) }, {
+                'Idempotent-Replayed': 'true'
+            });
+        }
+    }
+
+    try {
+        return await saveRequestedImage(ctx, clientKey, fingerprint);
+    } catch (error) {
+        if (clientKey) {
+            await releaseIdempotencyKey(ctx.userId, clientKey);
+        }
+        throw error;
+    }
+}
+
+// Helper function to save the image of a POST /v1/saved-images request and file
+// it into the requested collections. The stored Idempotency-Key response keeps
+// the bare item; signed URLs are added to each answer as it is sent.
+async function saveRequestedImage(ctx, clientKey, fingerprint) {
+    const dogData = {
+        message: ctx.body.imageUrl,
+        status: 'success'
+    };
+    const result = await saveImageToDynamoDB(ctx.userId, dogData);
+
+    // Optionally file the saved image into manual collections in the same call
+    const collectionIds = ctx.body.collectionIds || [];
+    for (const collectionId of collectionIds) {
+        const collection = await getCollection(ctx.userId, collectionId);
+        if (collection && collection.type === 'manual') {
+            await addImageToCollection(ctx.userId, collectionId, result.item);
+        }
+    }
+
+    const statusCode = result.created ? 201 : 200;
+    const body = {
+        message: result.created ? 'Image saved successfully!' : 'Image was already saved',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        created: result.created,
+        savedImage: result.item
+    };
+
+    if (clientKey) {
+        await putIdempotentResponse(ctx.userId, clientKey, fingerprint, jsonResponse(statusCode, body));
+    }
+
+    return jsonResponse(statusCode, { ...body, savedImage: withImageUrls(result.item) });
+}
+
+async function deleteSavedImage(ctx) {
+    const deleteResult = await deleteImageById(ctx.userId, ctx.params.id);
+
+    if (!deleteResult) {
+        throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection');
+    }
+
+    return jsonResponse(200, {
+        message: 'Image deleted successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        deleteResult: deleteResult
+    });
+}
+
+async function updateSavedImage(ctx) {
+    const { version, description, notes, tags, rating, favorite } = ctx.body;
+    if ([description, notes, tags, rating, favorite].every((value) => value === undefined)) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'Nothing to update. Expected description, notes, tags, rating or favorite');
+    }
+
+    const changes = {};
+    if (description !== undefined) {
+        changes.description = description.trim();
+    }
+    if (notes !== undefined) {
+        changes.notes = notes;
+    }
+    if (tags !== undefined) {
+        const result = normalizeTags(tags);
+        if (result.error) {
+            throw new ApiError(400, 'VALIDATION_FAILED', `Invalid update request: ${result.error}`);
+        }
+        changes.tags = result.tags;
+    }
+    if (rating !== undefined) {
+        changes.rating = rating;
+    }
+    if (favorite !== undefined) {
+        changes.favorite = favorite;
+    }
+
+    const existing = await findSavedImageById(ctx.userId, ctx.params.id);
+    if (!existing) {
+        throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection');
+    }
+
+    const updated = await updateSavedImageInDynamoDB(ctx.userId, existing, changes, version);
+    if (!updated) {
+        // Someone else saved first: hand back the current copy so the client can merge
+        const current = await findSavedImageById(ctx.userId, ctx.params.id);
+        if (!current) {
+            throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection');
+        }
+        throw new ApiError(409, 'VERSION_CONFLICT', 'The image was changed since it was loaded. Reload it and try again', {
+            savedImage: current
+        });
+    }
+
+    return jsonResponse(200, {
+        message: 'Image updated successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        savedImage: updated
+    });
+}
+
+async function batchDeleteSavedImages(ctx) {
+    const results = await batchDeleteImages(ctx.userId, ctx.body.ids);
+    const deletedCount = results.filter((result) => result.status === 'deleted').length;
+
+    return jsonResponse(200, {
+        message: deletedCount === results.length
+            ? 'Images deleted successfully!'
+            : `Deleted ${deletedCount} of ${results.length} images`,
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        results: results,
+        deletedCount: deletedCount,
+        failedCount: results.length - deletedCount
+    });
+}
+
+async function listCollections(ctx) {
+    const collections = await getCollectionsFromDynamoDB(ctx.userId);
+
+    return jsonResponse(200, {
+        message: 'Collections retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collections: collections,
+        count: collections.length
+    });
+}
+
+async function createCollection(ctx) {
+    const item = await saveCollectionToDynamoDB(ctx.userId, ctx.body.name.trim(), ctx.body.rule || null);
+
+    return jsonResponse(201, {
+        message: 'Collection created successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collection: toCollection(item)
+    });
+}
+
+async function updateCollection(ctx) {
+    const existing = await getCollection(ctx.userId, ctx.params.collectionId);
+    if (!existing) {
+        throw new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+
+    const changes = {};
+    if (ctx.body.name !== undefined) {
+        changes.name = ctx.body.name.trim();
+    }
+    if (ctx.body.rule !== undefined) {
+        if (existing.type !== 'smart') {
+            throw new ApiError(400, 'COLLECTION_NOT_SMART', 'Only smart collections have a rule');
+        }
+        changes.rule = ctx.body.rule;
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'Nothing to update. Expected name or rule');
+    }
+
+    const item = await updateCollectionInDynamoDB(ctx.userId, ctx.params.collectionId, changes);
+    if (!item) {
+        throw new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+
+    return jsonResponse(200, {
+        message: 'Collection updated successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collection: toCollection(item)
+    });
+}
+
+async function deleteCollection(ctx) {
+    const existing = await getCollection(ctx.userId, ctx.params.collectionId);
+    if (!existing) {
+        throw new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+
+    await deleteCollectionFromDynamoDB(ctx.userId, ctx.params.collectionId);
+
+    return jsonResponse(200, {
+        message: 'Collection deleted successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        deletedId: ctx.params.collectionId
+    });
+}
+
+async function listCollectionImages(ctx) {
+    const collection = await getCollection(ctx.userId, ctx.params.collectionId);
+    if (!collection) {
+        throw new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const cursorScope = { collectionId: collection.collection_id };
+    let startKey = null;
+    if (ctx.query.nextToken) {
+        startKey = decodePageToken(ctx.userId, ctx.query.nextToken, cursorScope);
+        if (!startKey) {
+            throw new ApiError(400, 'INVALID_PAGE_TOKEN', 'Invalid or expired nextToken');
+        }
+    }
+
+    const page = collection.type === 'smart'
+        ? await getSmartCollectionImages(ctx.userId, collection.rule, limit, startKey)
+        : await getManualCollectionImages(ctx.userId, collection.collection_id, limit, startKey);
+
+    return jsonResponse(200, {
+        message: 'Collection images retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collection: toCollection(collection),
+        savedImages: page.items.map(withImageUrls),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(ctx.userId, page.lastEvaluatedKey, cursorScope) : null
+    });
+}
+
+async function addCollectionImage(ctx) {
+    const [collection, image] = await Promise.all([
+        getCollection(ctx.userId, ctx.params.collectionId),
+        findSavedImageById(ctx.userId, ctx.params.imageId)
+    ]);
+    if (!collection || !image) {
+        throw collection
+            ? new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection')
+            : new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+    if (collection.type !== 'manual') {
+        throw new ApiError(400, 'COLLECTION_NOT_MANUAL', 'Images cannot be added to a smart collection; it is filled by its rule');
+    }
+
+    await addImageToCollection(ctx.userId, collection.collection_id, image);
+
+    return jsonResponse(200, {
+        message: 'Image added to collection!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collectionId: collection.collection_id,
+        imageId: image.id
+    });
+}
+
+async function removeCollectionImage(ctx) {
+    const removed = await removeImageFromCollection(ctx.userId, ctx.params.collectionId, ctx.params.imageId);
+    if (!removed) {
+        throw new ApiError(404, 'IMAGE_NOT_IN_COLLECTION', 'Image is not in this collection');
+    }
+
+    return jsonResponse(200, {
+        message: 'Image removed from collection!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        collectionId: ctx.params.collectionId,
+        imageId: ctx.params.imageId
+    });
+}
+
+async function listShares(ctx) {
+    const shares = await getSharesFromDynamoDB(ctx.userId);
+
+    return jsonResponse(200, {
+        message: 'Share links retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        shares: shares.map(toShare),
+        count: shares.length
+    });
+}
+
+async function createShare(ctx) {
+    const { title, collectionId, imageIds, expiresInDays } = ctx.body;
+    const scope = collectionId ? 'collection' : imageIds ? 'images' : 'all';
+
+    if (collectionId && imageIds) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'Invalid share request: share either a collection or a list of images, not both');
+    }
+
+    if (scope === 'collection' && !(await getCollection(ctx.userId, collectionId))) {
+        throw new ApiError(404, 'COLLECTION_NOT_FOUND', 'Collection not found');
+    }
+    let images = null;
+    if (scope === 'images') {
+        images = await Promise.all([...new Set(imageIds)].map((imageId) => findSavedImageById(ctx.userId, imageId)));
+        if (images.some((image) => !image)) {
+            throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection');
+        }
+    }
+
+    const item = await saveShareToDynamoDB(ctx.userId, {
+        title: title ? title.trim() : null,
+        scope: scope,
+        collectionId: scope === 'collection' ? collectionId : null,
+        images: images,
+        expiresInDays: expiresInDays || null
+    });
+
+    return jsonResponse(201, {
+        message: 'Share link created successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        share: toShare(item)
+    });
+}
+
+async function revokeShare(ctx) {
+    const revoked = await deleteShareFromDynamoDB(ctx.userId, ctx.params.token);
+    if (!revoked) {
+        throw new ApiError(404, 'SHARE_NOT_FOUND', 'Share link not found');
+    }
+
+    return jsonResponse(200, {
+        message: 'Share link revoked successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        revokedToken: ctx.params.token
+    });
+}
+
+// Public, read-only: resolves a share token to the images it covers
+async function getPublicShare(ctx) {
+    const share = await getShare(ctx.params.token);
+    if (!share) {
+        throw new ApiError(404, 'SHARE_NOT_FOUND', 'This share link does not exist, has expired or was revoked');
+    }
+
+    // Cursors are bound to the share token instead of a user
+    const cursorOwner = `share#${share.share_token}`;
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    let startKey = null;
+    if (ctx.query.nextToken) {
+        startKey = decodePageToken(cursorOwner, ctx.query.nextToken);
+        if (!startKey) {
+            throw new ApiError(400, 'INVALID_PAGE_TOKEN', 'Invalid or expired nextToken');
+        }
+    }
+
+    const page = await getSharedImages(share, limit, startKey);
+    if (!page) {
+        throw new ApiError(404, 'SHARE_NOT_FOUND', 'This share link does not exist, has expired or was revoked');
+    }
+
+    return jsonResponse(200, {
+        message: 'Shared dogs retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        share: {
+            title: share.title || null,
+            created_at: share.created_at,
+            expires_at: toShare(share).expires_at
+        },
+        savedImages: page.items.map(toPublicImage),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(cursorOwner, page.lastEvaluatedKey) : null
+    });
+}
+
+// Imports saved images from a JSON or CSV file in the export format. Every row
+// is reported as imported, skipped (already saved or repeated in the file) or
+// rejected (failed validation).
+async function importSavedImagesFromFile(ctx) {
+    const parsed = parseImportFile(ctx.body.format, ctx.body.data);
+    if (parsed.error) {
+        throw new ApiError(400, 'INVALID_IMPORT_FILE', `Invalid import file: ${parsed.error}`);
+    }
+    if (parsed.records.length === 0 || parsed.records.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(400, 'INVALID_IMPORT_FILE', `Invalid import file: expected 1 to ${MAX_IMPORT_ROWS} rows, got ${parsed.records.length}`);
+    }
+
+    const report = [];
+    const valid = [];
+    const seenIds = new Set();
+    parsed.records.forEach((record, index) => {
+        const entry = { row: index + 1, image_url: record && typeof record.image_url === 'string' ? record.image_url : null };
+        report.push(entry);
+
+        const result = validateImportRecord(record);
+        if (result.error) {
+            Object.assign(entry, { status: 'rejected', reason: result.error });
+            return;
+        }
+        const item = buildSavedImageItem(ctx.userId, result.imageUrl, result.fields);
+        if (seenIds.has(item.id)) {
+            Object.assign(entry, { status: 'skipped', reason: 'duplicate of an earlier row' });
+            return;
+        }
+        seenIds.add(item.id);
+        valid.push({ index: index, item: item });
+    });
+
+    const results = await importSavedImages(ctx.userId, valid);
+    Object.entries(results).forEach(([index, result]) => Object.assign(report[index], result));
+
+    const count = (status) => report.filter((entry) => entry.status === status).length;
+    return jsonResponse(200, {
+        message: 'Import finished',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        importedCount: count('imported'),
+        skippedCount: count('skipped'),
+        rejectedCount: count('rejected'),
+        rows: report
+    });
+}
+
+// Exports all of the caller's saved images. JSON and CSV are returned directly;
+// a ZIP archive is written to S3 and a short-lived download URL is returned.
+async function exportSavedImages(ctx) {
+    const format = ctx.query.format || 'json';
+    const records = (await getAllSavedImages(ctx.userId)).map(toExportRecord);
+    const date = new Date().toISOString().slice(0, 10);
+    logger.info('Exporting saved images', { count: records.length, format: format });
+
+    if (format === 'json' || format === 'csv') {
+        const body = buildExportBody(format, records);
+        return format === 'json'
+            ? fileResponse(body, 'application/json', `saved-dogs-${date}.json`)
+            : fileResponse(body, 'text/csv; charset=utf-8', `saved-dogs-${date}.csv`);
+    }
+
+    // The archive is streamed into a multipart upload while it is written
+    const key = `exports/${ctx.userId}/${crypto.randomUUID()}.zip`;
+    const archive = new PassThrough();
+    const upload = s3.upload({
+        Bucket: exportsBucketName,
+        Key: key,
+        Body: archive,
+        ContentType: 'application/zip'
+    }).promise();
+    // A failed upload stops the writer, which would otherwise wait on it forever
+    upload.catch((error) => archive.destroy(error));
+
+    let imageCount;
+    try {
+        imageCount = await writeZipExport(records, archive, ctx.lambdaContext);
+    } catch (error) {
+        archive.destroy(error);
+        throw error;
+    }
+    await upload;
+
+    const downloadUrl = s3.getSignedUrl('getObject', {
+        Bucket: exportsBucketName,
+        Key: key,
+        Expires: EXPORT_URL_TTL_SECONDS,
+        ResponseContentDisposition: `attachment; filename="saved-dogs-${date}.zip"`
+    });
+
+    return jsonResponse(200, {
+        message: 'Export archive created!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        format: 'zip',
+        count: records.length,
+        imageCount: imageCount,
+        downloadUrl: downloadUrl,
+        expiresAt: new Date(Date.now() + EXPORT_URL_TTL_SECONDS * 1000).toISOString()
+    });
+}
+
+// Deletes all of the caller's data before their Cognito user is removed. The
+// body must repeat the account email as a confirmation. Large accounts take
+// several calls: repeat until complete is true.
+async function purgeAccountData(ctx) {
+    const email = ctx.claims.email;
+    if (!email || ctx.body.confirmEmail.trim().toLowerCase() !== email.toLowerCase()) {
+        throw new ApiError(400, 'CONFIRMATION_MISMATCH', 'Invalid purge request. confirmEmail must match the email of the signed-in account');
+    }
+
+    const result = await purgeUserData(ctx.userId, ctx.lambdaContext);
+
+    return jsonResponse(200, {
+        message: result.complete ? 'All account data deleted' : 'Account data partially deleted; call again to continue',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        deleted: result.deleted,
+        complete: result.complete
+    });
+}
+
+// Reports an image as inappropriate or broken for admins to review. Each user
+// can report an image once; repeating it answers 200 with alreadyFlagged.
+async function flagImage(ctx) {
+    const { imageUrl, reason, note } = ctx.body;
+    const savedImage = await findSavedImageById(ctx.userId, buildSavedImageId(ctx.userId, imageUrl));
+    const report = { reason: reason };
+    if (note && note.trim()) {
+        report.note = note.trim();
+    }
+    if (savedImage) {
+        report.saved_image_id = savedImage.id;
+    }
+
+    const flag = await addFlagReport(ctx.userId, imageUrl, report);
+    logger.info(flag ? 'Image flagged' : 'Image already flagged by user', { flagId: buildFlagId(imageUrl), reason: reason });
+
+    return jsonResponse(flag ? 201 : 200, {
+        message: flag ? 'Thanks! The image was reported for review' : 'You already reported this image',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        flagId: buildFlagId(imageUrl),
+        alreadyFlagged: !flag
+    });
+}
+
+// Admin handlers. The router only lets callers with the admin role through and
+// records every call in the audit trail; handlers add the target user and
+// details to ctx.audit.
+
+// Helper function to read the limit and decoded nextToken of an admin listing.
+// Cursors are bound to the admin and to scope: the target user, flag status or
+// audit date the listing reads.
+function adminPage(ctx, scope) {
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    let startKey = null;
+    if (ctx.query.nextToken) {
+        startKey = decodePageToken(ctx.userId, ctx.query.nextToken, scope);
+        if (!startKey) {
+            throw new ApiError(400, 'INVALID_PAGE_TOKEN', 'Invalid or expired nextToken');
+        }
+    }
+    return { limit: limit, startKey: startKey };
+}
+
+// Lists the Cognito users with how many images each has saved. search narrows
+// the list to emails starting with it, or to the user with that id.
+async function adminListUsers(ctx) {
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_ADMIN_USERS_PAGE_SIZE);
+    const search = (ctx.query.search || '').trim();
+    if (search) {
+        ctx.audit.details = { search: search };
+    }
+    let result;
+    try {
+        result = await cognito.listUsers({
+            UserPoolId: userPoolId,
+            Limit: limit,
+            ...(search ? { Filter: userSearchFilter(search) } : {}),
+            ...(ctx.query.nextToken ? { PaginationToken: ctx.query.nextToken } : {})
+        }).promise();
+    } catch (error) {
+        if (error.code === 'InvalidParameterException' && ctx.query.nextToken) {
+            throw new ApiError(400, 'INVALID_PAGE_TOKEN', 'Invalid or expired nextToken');
+        }
+        throw error;
+    }
+
+    const users = (result.Users || []).map((user) => {
+        const attributes = Object.fromEntries((user.Attributes || []).map((attribute) => [attribute.Name, attribute.Value]));
+        return {
+            userId: attributes.sub || user.Username,
+            email: attributes.email || null,
+            status: user.UserStatus,
+            enabled: user.Enabled,
+            created_at: user.UserCreateDate ? new Date(user.UserCreateDate).toISOString() : null
         };
+    });
+    const counts = await getSavedImageCounts(users.map((user) => user.userId));
+    users.forEach((user) => {
+        user.savedImageCount = counts[user.userId];
+    });
+
+    return jsonResponse(200, {
+        message: 'Users retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        users: users,
+        count: users.length,
+        search: search || null,
+        nextToken: result.PaginationToken || null
+    });
+}
+
+// System totals for the admin console: users in the pool (Cognito's estimate),
+// images saved on each of the last days and flags waiting for review
+async function adminGetStats(ctx) {
+    const days = parseInt(ctx.query.days) || DEFAULT_STATS_DAYS;
+
+    const [pool, dailySaves, openFlags] = await Promise.all([
+        cognito.describeUserPool({ UserPoolId: userPoolId }).promise(),
+        getDailySaves(days),
+        countFlags('open')
+    ]);
+
+    return jsonResponse(200, {
+        message: 'Stats retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        users: pool.UserPool.EstimatedNumberOfUsers,
+        savesPerDay: dailySaves,
+        savesInPeriod: dailySaves.reduce((sum, day) => sum + day.saves, 0),
+        openFlags: openFlags
+    });
+}
+
+// Lists any user's saved images, newest first
+async function adminListUserImages(ctx) {
+    const targetUserId = ctx.params.userId;
+    ctx.audit.targetUserId = targetUserId;
+    const cursorScope = { userId: targetUserId };
+    const { limit, startKey } = adminPage(ctx, cursorScope);
+
+    const page = await getSavedImages(targetUserId, limit, startKey);
+    return jsonResponse(200, {
+        message: 'Saved images retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        user: targetUserId,
+        savedImages: page.items.map(withImageUrls),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(ctx.userId, page.lastEvaluatedKey, cursorScope) : null
+    });
+}
+
+// Removes one of a user's saved images, with its collection entries and mirrored
+// copies. Passing the flagId the removal answers resolves that flag too.
+async function adminDeleteUserImage(ctx) {
+    const targetUserId = ctx.params.userId;
+    const { reason, flagId } = ctx.body;
+    ctx.audit.targetUserId = targetUserId;
+    ctx.audit.details = { imageId: ctx.params.imageId, reason: reason || null, flagId: flagId || null };
+
+    if (flagId && !(await getFlag(flagId))) {
+        throw new ApiError(404, 'FLAG_NOT_FOUND', 'Flag not found');
+    }
+    const item = await findSavedImageById(targetUserId, ctx.params.imageId);
+    if (item) {
+        ctx.audit.details.imageUrl = item.image_url;
+    }
+    const deleteResult = await deleteOwnedImage(targetUserId, item);
+    if (!deleteResult) {
+        throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in the user\'s saved collection');
+    }
+    const flag = flagId ? await setFlagStatus(flagId, 'resolved', ctx.userId, reason) : null;
+
+    return jsonResponse(200, {
+        message: 'Image removed from the user\'s saved collection',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        user: targetUserId,
+        deleteResult: deleteResult,
+        flag: flag ? toFlag(flag) : null
+    });
+}
+
+// Lists flagged images with a status (open by default), most recently flagged first
+async function adminListFlags(ctx) {
+    const status = ctx.query.status || 'open';
+    const cursorScope = { flagStatus: status };
+    const { limit, startKey } = adminPage(ctx, cursorScope);
+
+    const page = await getFlagsByStatus(status, limit, startKey);
+    return jsonResponse(200, {
+        message: 'Flags retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        status: status,
+        flags: page.items.map(toFlag),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(ctx.userId, page.lastEvaluatedKey, cursorScope) : null
+    });
+}
+
+// Reviews a flag: resolved (acted on), dismissed (nothing wrong) or open again
+async function adminUpdateFlag(ctx) {
+    const { status, note } = ctx.body;
+    ctx.audit.details = { flagId: ctx.params.flagId, status: status, note: note || null };
+
+    const flag = await setFlagStatus(ctx.params.flagId, status, ctx.userId, note);
+    if (!flag) {
+        throw new ApiError(404, 'FLAG_NOT_FOUND', 'Flag not found');
+    }
+
+    return jsonResponse(200, {
+        message: 'Flag updated successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        flag: toFlag(flag)
+    });
+}
+
+// Lists a day's audit trail (today, UTC, by default), newest first
+async function adminListAudit(ctx) {
+    const date = ctx.query.date || new Date().toISOString().slice(0, 10);
+    const cursorScope = { auditDate: date };
+    const { limit, startKey } = adminPage(ctx, cursorScope);
+
+    const page = await getAuditEntries(date, limit, startKey);
+    return jsonResponse(200, {
+        message: 'Audit entries retrieved successfully!',
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        date: date,
+        entries: page.items.map(toAuditEntry),
+        count: page.items.length,
+        nextToken: page.lastEvaluatedKey ? encodePageToken(ctx.userId, page.lastEvaluatedKey, cursorScope) : null
+    });
+}
+
+// Legacy handlers kept for the action-based calls made against the API root
+
+async function deleteSavedImageByUrl(ctx) {
+    const deleteResult = await deleteImageFromDynamoDB(ctx.userId, ctx.body.imageUrl);
+
+    if (!deleteResult) {
+        throw new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found in saved collection');
+    }
+
+    return jsonResponse(200, {
+        message: 'Image deleted successfully!',
+        timestamp: new Date().toISOString(),
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        deleteResult: deleteResult
+    });
+}
+
+async function fetchAndSaveRandomImage(ctx) {
+    const { images, fallback, quotaHeaders: randomQuotaHeaders } = await fetchRandomImagesWithinQuota(ctx.userId, null, null, 1);
+    const { item: savedImage } = await saveImageToDynamoDB(ctx.userId, images[0]);
+
+    return jsonResponse(201, {
+        message: 'Data received and dog image fetched and saved!',
+        timestamp: new Date().toISOString(),
+        path: ctx.path,
+        method: ctx.method,
+        user: ctx.userId,
+        requestId: ctx.requestId,
+        receivedData: ctx.body,
+        dogData: images[0],
+        savedImage: withImageUrls(savedImage),
+        fallback: fallback
+    }, randomQuotaHeaders);
+}
+
+// Versioned resource routes. Segments written as {name} are path parameters;
+// body and query name the schemas the request is validated against.
+const routes = [
+    { method: 'GET', path: '/v1/images/random', handler: getRandomImage, query: schemas.randomImageQuery },
+    { method: 'GET', path: '/v1/breeds', handler: listBreeds },
+    { method: 'GET', path: '/v1/saved-images', handler: listSavedImages, query: schemas.savedImagesQuery },
+    { method: 'POST', path: '/v1/saved-images', handler: createSavedImage, body: schemas.saveImageBody },
+    { method: 'POST', path: '/v1/saved-images/batch-delete', handler: batchDeleteSavedImages, body: schemas.batchDeleteBody },
+    { method: 'POST', path: '/v1/saved-images/import', handler: importSavedImagesFromFile, body: schemas.importBody },
+    { method: 'PATCH', path: '/v1/saved-images/{id}', handler: updateSavedImage, body: schemas.updateImageBody },
+    { method: 'DELETE', path: '/v1/saved-images/{id}', handler: deleteSavedImage },
+    { method: 'GET', path: '/v1/collections', handler: listCollections },
+    { method: 'POST', path: '/v1/collections', handler: createCollection, body: schemas.createCollectionBody },
+    { method: 'PATCH', path: '/v1/collections/{collectionId}', handler: updateCollection, body: schemas.updateCollectionBody },
+    { method: 'DELETE', path: '/v1/collections/{collectionId}', handler: deleteCollection },
+    { method: 'GET', path: '/v1/collections/{collectionId}/images', handler: listCollectionImages, query: schemas.pageQuery },
+    { method: 'PUT', path: '/v1/collections/{collectionId}/images/{imageId}', handler: addCollectionImage },
+    { method: 'DELETE', path: '/v1/collections/{collectionId}/images/{imageId}', handler: removeCollectionImage },
+    { method: 'GET', path: '/v1/shares', handler: listShares },
+    { method: 'POST', path: '/v1/shares', handler: createShare, body: schemas.createShareBody },
+    { method: 'DELETE', path: '/v1/shares/{token}', handler: revokeShare },
+    { method: 'GET', path: '/v1/export', handler: exportSavedImages, query: schemas.exportQuery },
+    { method: 'POST', path: '/v1/account/purge', handler: purgeAccountData, body: schemas.purgeBody },
+    { method: 'POST', path: '/v1/flags', handler: flagImage, body: schemas.flagBody },
+    // Admin routes: role names the role a caller needs; other callers get 403
+    { method: 'GET', path: '/admin/v1/users', handler: adminListUsers, query: schemas.adminUsersQuery, role: 'admin' },
+    { method: 'GET', path: '/admin/v1/users/{userId}/saved-images', handler: adminListUserImages, query: schemas.pageQuery, role: 'admin' },
+    { method: 'DELETE', path: '/admin/v1/users/{userId}/saved-images/{imageId}', handler: adminDeleteUserImage, body: schemas.adminDeleteImageBody, role: 'admin' },
+    { method: 'GET', path: '/admin/v1/flags', handler: adminListFlags, query: schemas.adminFlagsQuery, role: 'admin' },
+    { method: 'PATCH', path: '/admin/v1/flags/{flagId}', handler: adminUpdateFlag, body: schemas.adminUpdateFlagBody, role: 'admin' },
+    { method: 'GET', path: '/admin/v1/audit', handler: adminListAudit, query: schemas.adminAuditQuery, role: 'admin' },
+    { method: 'GET', path: '/admin/v1/stats', handler: adminGetStats, query: schemas.adminStatsQuery, role: 'admin' },
+    // Served through the /api/public resource, which has no Cognito authorizer
+    { method: 'GET', path: '/public/v1/shares/{token}', handler: getPublicShare, query: schemas.pageQuery, public: true }
+].map(compileRoute);
+
+// Helper function to turn a route path template into a matching regex
+function compileRoute(route) {
+    const paramNames = [];
+    const pattern = route.path
+        .split('/')
+        .map((segment) => {
+            const param = segment.match(/^\{(\w+)\}$/);
+            if (param) {
+                paramNames.push(param[1]);
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { ...route, regex: new RegExp(`^${pattern}$`), paramNames: paramNames };
+}
+
+// Helper function to strip the API Gateway base path and trailing slashes
+function normalizePath(path) {
+    let normalized = path || '/';
+    if (normalized === API_BASE_PATH || normalized.startsWith(`${API_BASE_PATH}/`)) {
+        normalized = normalized.slice(API_BASE_PATH.length);
+    }
+    normalized = normalized.replace(/\/+$/, '');
+    return normalized || '/';
+}
+
+// Helper function to find the route for a request. When the path exists but
+// the method does not, the methods that are allowed on that path are returned.
+function matchRoute(method, path) {
+    const allowedMethods = [];
+
+    for (const route of routes) {
+        const match = path.match(route.regex);
+        if (!match) {
+            continue;
+        }
+        if (route.method !== method) {
+            allowedMethods.push(route.method);
+            continue;
+        }
+
+        // A malformed escape (e.g. %E0%A4%A) is reported instead of thrown
+        const params = {};
+        const paramErrors = [];
+        route.paramNames.forEach((name, index) => {
+            try {
+                params[name] = decodeURIComponent(match[index + 1]);
+            } catch (error) {
+                paramErrors.push({ field: name, message: 'is not validly percent-encoded' });
+            }
+        });
+        return { route: route, params: params, paramErrors: paramErrors };
+    }
+
+    return allowedMethods.length > 0 ? { allowedMethods: allowedMethods } : null;
+}
+
+// Compatibility layer: maps the action-based calls that App.js makes against
+// the API root onto the resource handlers and their schemas.
+function matchLegacyRoute(method, query, body) {
+    switch (method) {
+        case 'GET':
+            return query.action === 'saved'
+                ? { handler: listSavedImages, query: schemas.savedImagesQuery }
+                : { handler: getRandomImage, query: schemas.randomImageQuery };
+        case 'POST':
+            return body.action === 'save_image'
+                ? { handler: createSavedImage, body: schemas.legacySaveBody }
+                : { handler: fetchAndSaveRandomImage, body: schemas.legacyFetchBody };
+        case 'DELETE':
+            return { handler: deleteSavedImageByUrl, body: schemas.legacyDeleteBody };
+        default:
+            return null;
+    }
+}
+
+// Helper function to read a request header regardless of its casing
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const wanted = name.toLowerCase();
+    const key = Object.keys(headers).find((header) => header.toLowerCase() === wanted);
+    return key ? headers[key] : undefined;
+}
+
+// Helper function to parse the JSON request body. Returns { body } or { error }.
+// The parser's own message depends on the Node version and quotes the body, so
+// it is only logged; clients get a fixed message.
+function parseBody(rawBody, isBase64Encoded) {
+    if (!rawBody) {
+        return { body: {} };
+    }
+    try {
+        const text = isBase64Encoded ? Buffer.from(rawBody, 'base64').toString('utf8') : rawBody;
+        return { body: JSON.parse(text) };
+    } catch (e) {
+        logger.warn('Request body is not valid JSON', { error: e.message });
+        return { error: 'Request body is not valid JSON' };
+    }
+}
+
+// Maintenance tasks run by invoking the function directly, e.g.
+// aws lambda invoke --function-name <name> --payload '{"task":"backfill_breeds"}' out.json
+async function runMaintenanceTask(event, context) {
+    switch (event.task) {
+        case 'backfill_breeds':
+            return backfillBreedFields(event.startKey, context);
+        case 'backfill_rating_rank':
+            return backfillRatingRank(event.startKey, context);
+        case 'backfill_provider':
+            return backfillProvider(event.startKey, context);
+        case 'backfill_mirror':
+            return backfillMirror(event.startKey, context);
+        case 'backfill_thumbnails':
+            return backfillThumbnails(event.startKey, context);
+        default:
+            throw new Error(`Unknown maintenance task: ${event.task}`);
+    }
+}
+
+// Helper function to read a caller's roles from the cognito:groups claim. API
+// Gateway passes the groups as one string: "admin", or "[admin, editors]" with
+// several; an array is accepted too.
+function rolesFromClaims(claims) {
+    const groups = claims['cognito:groups'];
+    const names = Array.isArray(groups)
+        ? groups
+        : String(groups || '').replace(/^\[|\]$/g, '').split(/[\s,]+/);
+    return names.includes(ADMIN_GROUP_NAME) ? ['admin'] : [];
+}
+
+// Routes an API Gateway request to its handler and returns the response
+// without CORS headers
+async function handleRequest(event, context) {
+    // User information from the API Gateway context (set by the Cognito authorizer)
+    const userInfo = event.requestContext?.authorizer?.claims || {};
+    const method = event.httpMethod;
+    const path = event.path;
+
+    const routePath = normalizePath(path);
+    const parsedBody = parseBody(event.body, event.isBase64Encoded);
+    const ctx = {
+        event: event,
+        method: method,
+        path: path,
+        params: {},
+        query: event.queryStringParameters || {},
+        body: parsedBody.error ? {} : parsedBody.body,
+        claims: userInfo,
+        userId: userInfo.sub || 'unknown',
+        roles: rolesFromClaims(userInfo),
+        requestId: event.requestContext?.requestId,
+        lambdaContext: context,
+        // Target user and details of an admin call, for its audit entry
+        audit: {}
+    };
+
+    let route;
+    if (routePath === '/') {
+        route = matchLegacyRoute(method, ctx.query, ctx.body || {});
+        logContext.route = `${method} /`;
+        if (!route) {
+            return errorResponse(405, 'METHOD_NOT_ALLOWED', 'Method not allowed', ctx.requestId, {
+                allowedMethods: ['GET', 'POST', 'DELETE']
+            }, { 'Allow': 'GET,POST,DELETE,OPTIONS' });
+        }
+    } else {
+        const match = matchRoute(method, routePath);
+        if (!match) {
+            logContext.path = routePath;
+            return errorResponse(404, 'ROUTE_NOT_FOUND', `No route for ${method} ${routePath}`, ctx.requestId);
+        }
+        if (match.allowedMethods) {
+            logContext.route = `${method} (unsupported)`;
+            return errorResponse(405, 'METHOD_NOT_ALLOWED', 'Method not allowed', ctx.requestId, {
+                allowedMethods: match.allowedMethods
+            }, { 'Allow': [...match.allowedMethods, 'OPTIONS'].join(',') });
+        }
+        logContext.route = `${method} ${match.route.path}`;
+        if (match.paramErrors.length > 0) {
+            const message = `Invalid request: ${match.paramErrors.map((error) => `${error.field} ${error.message}`).join('; ')}`;
+            return errorResponse(400, 'VALIDATION_FAILED', message, ctx.requestId, { errors: match.paramErrors });
+        }
+        // Only public routes may run without the claims set by the Cognito authorizer
+        if (!match.route.public && !userInfo.sub) {
+            return errorResponse(401, 'UNAUTHORIZED', 'Sign in to use this route', ctx.requestId);
+        }
+        if (match.route.role && !ctx.roles.includes(match.route.role)) {
+            logger.warn('Caller lacks the route\'s role', { role: match.route.role });
+            return errorResponse(403, 'FORBIDDEN', `This route requires the ${match.route.role} role`, ctx.requestId);
+        }
+        route = match.route;
+        ctx.params = match.params;
+    }
+
+    // Signed-in callers have a per-minute request budget, reported on every response
+    let rateLimitHeaders = {};
+    const quota = userInfo.sub ? await consumeRequestQuota(userInfo.sub) : null;
+    if (quota) {
+        rateLimitHeaders = quotaHeaders('X-RateLimit', quota);
+        if (!quota.allowed) {
+            const error = quotaExceededError('RATE_LIMITED', 'Too many requests. Slow down and try again shortly', 'X-RateLimit', quota);
+            return errorResponse(error.statusCode, error.code, error.message, ctx.requestId, error.details, error.headers);
+        }
+    }
+
+    const response = await runRoute(ctx, route, parsedBody.error);
+    if (route.role === 'admin') {
+        await recordAuditEntry(ctx, route, response);
+    }
+    return { ...response, headers: { ...response.headers, ...rateLimitHeaders } };
+}
+
+// Helper function to validate a routed request and run its handler. Errors the
+// handler throws become error responses.
+async function runRoute(ctx, route, bodyError) {
+    logger.debug('Request received', { query: ctx.query, body: ctx.body });
+    if (bodyError) {
+        return errorResponse(400, 'INVALID_JSON', bodyError, ctx.requestId);
+    }
+    const validationErrors = validateRequest(ctx, route);
+    if (validationErrors.length > 0) {
+        const message = `Invalid request: ${validationErrors.map((error) => `${error.field} ${error.message}`).join('; ')}`;
+        return errorResponse(400, 'VALIDATION_FAILED', message, ctx.requestId, {
+            errors: validationErrors
+        });
     }
+
+    try {
+        return await route.handler(ctx);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            if (error.statusCode >= 500) {
+                logger.error('Request failed', { errorCode: error.code, error: error });
+            }
+            return errorResponse(error.statusCode, error.code, error.message, ctx.requestId, error.details, error.headers);
+        }
+        // Internal details stay in the logs; the client only gets the request id to quote
+        logger.error('Unhandled error', { error: error });
+        return errorResponse(500, 'INTERNAL_ERROR', 'Something went wrong while processing the request', ctx.requestId);
+    }
+}
+
+// Helper function to read the code of an error envelope, or null for a success
+// or a body that is not an envelope
+function responseErrorCode(response) {
+    if (response.statusCode < 400) {
+        return null;
+    }
+    try {
+        return JSON.parse(response.body).code || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper function to write the one summary entry logged for every request
+function logRequestCompleted(response, latencyMs) {
+    const statusCode = response.statusCode;
+    const fields = {
+        statusCode: statusCode,
+        latencyMs: latencyMs,
+        outcome: statusCode >= 500 ? 'server_error' : statusCode >= 400 ? 'client_error' : 'success'
+    };
+    const errorCode = responseErrorCode(response);
+    if (errorCode) {
+        fields.errorCode = errorCode;
+    }
+
+    const level = statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : logContext.method === 'OPTIONS' ? 'debug' : 'info';
+    writeLog(level, 'Request completed', fields);
 }
+
+exports.handler = async (event, context) => {
+    if (event.task) {
+        logContext = { requestId: context?.awsRequestId, task: event.task };
+        logger.info('Maintenance task started', { startKey: event.startKey || null });
+        metrics.setDimensions({ Stage: 'maintenance', Route: `task:${event.task}` });
+        try {
+            return await runMaintenanceTask(event, context);
+        } finally {
+            metrics.flush();
+        }
+    }
+
+    const startedAt = Date.now();
+    const clientCorrelationId = getHeader(event, CORRELATION_ID_HEADER);
+    const correlationId = clientCorrelationId && CORRELATION_ID_PATTERN.test(clientCorrelationId)
+        ? clientCorrelationId
+        : crypto.randomUUID();
+    logContext = {
+        requestId: event.requestContext?.requestId,
+        correlationId: correlationId,
+        userSub: event.requestContext?.authorizer?.claims?.sub || null,
+        method: event.httpMethod,
+        route: null
+    };
+
+    const origin = getHeader(event, 'Origin');
+    let response;
+    try {
+        response = event.httpMethod === 'OPTIONS'
+            ? { statusCode: 204, headers: corsHeaders(origin, true), body: '' }
+            : withCors(await handleRequest(event, context), origin);
+    } catch (error) {
+        // Failures outside a route handler (routing, body parsing, quotas, the
+        // audit trail) get the same envelope as the ones runRoute catches
+        logger.error('Unhandled error', { error: error });
+        response = withCors(errorResponse(500, 'INTERNAL_ERROR', 'Something went wrong while processing the request',
+            event.requestContext?.requestId), origin);
+    }
+    response.headers[CORRELATION_ID_HEADER] = correlationId;
+
+    try {
+        logRequestCompleted(response, Date.now() - startedAt);
+        const errorCode = responseErrorCode(response);
+        if (errorCode) {
+            metrics.error(errorCode);
+        }
+        metrics.setDimensions({
+            Stage: event.requestContext?.stage || 'unknown',
+            Route: logContext.route || 'unmatched'
+        });
+    } finally {
+        metrics.flush();
+    }
+    return response;
+};
@@ -0,0 +1,121 @@
+// CloudWatch Embedded Metric Format (EMF) emitter. Metrics recorded while a
+// request runs are buffered and written to stdout as JSON documents when the
+// request is flushed. CloudWatch extracts the metrics from those log lines, so
+// emitting them needs no API calls or extra permissions.
+//
+// The writer defaults to process.stdout.write; pass another function (and a
+// fixed clock) to capture the documents offline.
+
+const DEFAULT_NAMESPACE = 'DogApi';
+
+// EMF accepts at most 100 metrics per document and 100 values per metric
+const MAX_METRICS_PER_DOCUMENT = 100;
+const MAX_VALUES_PER_METRIC = 100;
+
+// Dimension sets for ordinary metrics and for the per-code error count. Each
+// set is a separate CloudWatch series: one per stage, and one per stage and route.
+const METRIC_DIMENSION_SETS = [['Stage'], ['Stage', 'Route']];
+const ERROR_DIMENSION_SETS = [['Stage', 'ErrorCode'], ['Stage', 'Route', 'ErrorCode']];
+
+// Helper function to split a list into chunks of at most size items
+function chunk(list, size) {
+    const chunks = [];
+    for (let start = 0; start < list.length; start += size) {
+        chunks.push(list.slice(start, start + size));
+    }
+    return chunks;
+}
+
+// Creates a metrics recorder. Counts are summed, timings keep every value so
+// CloudWatch can compute percentiles, and errors are counted per error code.
+function createMetrics({ namespace = DEFAULT_NAMESPACE, write = (line) => process.stdout.write(line), now = Date.now } = {}) {
+    let dimensions = {};
+    let values = new Map();
+    let errorCodes = new Map();
+
+    function record(name, unit, value, aggregate) {
+        const metric = values.get(name) || { unit: unit, values: [] };
+        if (aggregate && metric.values.length > 0) {
+            metric.values[0] += value;
+        } else if (metric.values.length < MAX_VALUES_PER_METRIC) {
+            metric.values.push(value);
+        }
+        values.set(name, metric);
+    }
+
+    function buildDocument(dimensionSets, metricDefinitions, fields) {
+        return {
+            _aws: {
+                Timestamp: now(),
+                CloudWatchMetrics: [{
+                    Namespace: namespace,
+                    Dimensions: dimensionSets,
+                    Metrics: metricDefinitions
+                }]
+            },
+            ...dimensions,
+            ...fields
+        };
+    }
+
+    return {
+        // Sets dimension values (Stage, Route) for everything flushed next
+        setDimensions(newDimensions) {
+            dimensions = { ...dimensions, ...newDimensions };
+        },
+
+        count(name, value = 1) {
+            record(name, 'Count', value, true);
+        },
+
+        timing(name, milliseconds) {
+            record(name, 'Milliseconds', Math.round(milliseconds), false);
+        },
+
+        error(code) {
+            errorCodes.set(code, (errorCodes.get(code) || 0) + 1);
+        },
+
+        // Runs fn and records how long it took, whether it resolved or threw
+        async time(name, fn) {
+            const startedAt = now();
+            try {
+                return await fn();
+            } finally {
+                this.timing(name, now() - startedAt);
+            }
+        },
+
+        // Writes the buffered metrics as EMF documents and starts a new buffer
+        flush() {
+            const lines = [];
+            const dimensionNames = Object.keys(dimensions);
+            const available = (sets) => sets.filter((set) => set.every((name) => name === 'ErrorCode' || dimensionNames.includes(name)));
+
+            const buffered = values;
+            for (const names of chunk([...buffered.keys()], MAX_METRICS_PER_DOCUMENT)) {
+                const fields = {};
+                names.forEach((name) => {
+                    const metric = buffered.get(name);
+                    fields[name] = metric.values.length === 1 ? metric.values[0] : metric.values;
+                });
+                const definitions = names.map((name) => ({ Name: name, Unit: buffered.get(name).unit }));
+                lines.push(buildDocument(available(METRIC_DIMENSION_SETS), definitions, fields));
+            }
+            for (const [code, count] of errorCodes) {
+                lines.push(buildDocument(available(ERROR_DIMENSION_SETS), [{ Name: 'Errors', Unit: 'Count' }], {
+                    ErrorCode: code,
+                    Errors: count
+                }));
+            }
+
+            lines.forEach((document) => write(`${JSON.stringify(document)}\n`));
+            values = new Map();
+            errorCodes = new Map();
+            dimensions = {};
+            return lines.length;
+        }
+    };
+}
+
+module.exports = { createMetrics };
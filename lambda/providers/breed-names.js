@@ -0,0 +1,23 @@
+// Display names for breeds, shared by the image providers
+
+// Breed / sub-breed pairs whose common name does not read "<Sub-breed> <Breed>"
+const BREED_DISPLAY_NAME_OVERRIDES = {
+    'australian-kelpie': 'Australian Kelpie',
+    'australian-shepherd': 'Australian Shepherd',
+    'danish-swedish': 'Danish-Swedish Farmdog'
+};
+
+// Helper function to capitalize each word of a breed name
+function titleCase(text) {
+    return text.replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+// Helper function to build the human readable name of a breed or sub-breed
+function formatBreedName(breed, subBreed = null) {
+    if (!subBreed) {
+        return titleCase(breed);
+    }
+    return BREED_DISPLAY_NAME_OVERRIDES[`${breed}-${subBreed}`] || titleCase(`${subBreed} ${breed}`);
+}
+
+module.exports = { formatBreedName };
@@ -0,0 +1,84 @@
+// Image provider backed by the Dog CEO API (https://dog.ceo/dog-api/)
+const { formatBreedName } = require('./breed-names');
+
+// Base URL of the Dog API and the host its images are served from
+const DOG_API_BASE_URL = 'https://dog.ceo/api';
+const DOG_API_IMAGE_HOST = 'images.dog.ceo';
+
+// Helper function to build the Dog API URL for random images, optionally
+// limited to a breed or sub-breed and returning several images at once
+function buildRandomImageUrl(breed, subBreed, count) {
+    let url = breed
+        ? `${DOG_API_BASE_URL}/breed/${encodeURIComponent(breed)}${subBreed ? `/${encodeURIComponent(subBreed)}` : ''}/images/random`
+        : `${DOG_API_BASE_URL}/breeds/image/random`;
+    if (count > 1) {
+        url += `/${count}`;
+    }
+    return url;
+}
+
+// Creates the dog.ceo provider. fetchJson performs a GET and resolves to the parsed
+// JSON body; unavailable(message) builds the error thrown when the Dog API answers
+// with an error.
+function createDogCeoProvider({ fetchJson, unavailable, logger }) {
+    return {
+        name: 'dog-ceo',
+        imageHosts: [DOG_API_IMAGE_HOST],
+
+        async randomImages(breed, subBreed, count) {
+            const dogApiResponse = await fetchJson(buildRandomImageUrl(breed, subBreed, count));
+            if (dogApiResponse.status !== 'success') {
+                // The Dog API answers an unknown breed with a 404 JSON body
+                if (dogApiResponse.code === 404) {
+                    return null;
+                }
+                logger.error('Dog API returned an error', { response: dogApiResponse });
+                throw unavailable('The Dog API could not provide an image');
+            }
+            return Array.isArray(dogApiResponse.message) ? dogApiResponse.message : [dogApiResponse.message];
+        },
+
+        async listBreeds() {
+            const dogApiResponse = await fetchJson(`${DOG_API_BASE_URL}/breeds/list/all`);
+            if (dogApiResponse.status !== 'success' || typeof dogApiResponse.message !== 'object') {
+                logger.error('Dog API breed list request failed', { response: dogApiResponse });
+                throw unavailable('The Dog API could not provide the breed list');
+            }
+
+            return Object.keys(dogApiResponse.message).sort().map((breed) => ({
+                breed: breed,
+                displayName: formatBreedName(breed),
+                subBreeds: dogApiResponse.message[breed].slice().sort().map((subBreed) => ({
+                    subBreed: subBreed,
+                    displayName: formatBreedName(breed, subBreed)
+                }))
+            }));
+        },
+
+        // Reads the breed from an image URL like
+        // https://images.dog.ceo/breeds/retriever-golden/n02099601_1004.jpg, where the
+        // directory is "<breed>" or "<breed>-<sub-breed>"
+        describeImage(url) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                return null;
+            }
+            const match = parsed.hostname.toLowerCase() === DOG_API_IMAGE_HOST ? parsed.pathname.match(/^\/breeds\/([^/]+)\//) : null;
+            if (!match) {
+                return null;
+            }
+
+            const [breed, ...rest] = match[1].toLowerCase().split('-');
+            const subBreed = rest.length > 0 ? rest.join('-') : null;
+            return { breed: breed, subBreed: subBreed, displayName: formatBreedName(breed, subBreed) };
+        },
+
+        breedDisplayName(breed, subBreed) {
+            return formatBreedName(breed, subBreed);
+        }
+    };
+}
+
+module.exports = { createDogCeoProvider };
@@ -0,0 +1,55 @@
+// Image provider backed by a bundled JSON file. It makes no network calls, so the
+// API can run offline during development and tests. The file lists the breed
+// catalog and the images to serve: { breeds: [...], images: [{ url, breed, subBreed }] }.
+const { formatBreedName } = require('./breed-names');
+
+const DEFAULT_FIXTURE_FILE = './fixtures/dogs.json';
+
+// Creates the fixture provider. data defaults to the bundled fixture file; random
+// can be replaced to make the picked images predictable.
+function createFixtureProvider({ data = require(DEFAULT_FIXTURE_FILE), random = Math.random } = {}) {
+    const imagesByUrl = new Map(data.images.map((image) => [image.url, image]));
+
+    function breedDisplayName(breed, subBreed) {
+        const entry = data.breeds.find((candidate) => candidate.breed === breed);
+        if (entry && !subBreed) {
+            return entry.displayName;
+        }
+        const subEntry = entry && entry.subBreeds.find((candidate) => candidate.subBreed === subBreed);
+        return subEntry ? subEntry.displayName : formatBreedName(breed, subBreed);
+    }
+
+    return {
+        name: 'fixture',
+        imageHosts: [...new Set(data.images.map((image) => new URL(image.url).hostname.toLowerCase()))],
+
+        async randomImages(breed, subBreed, count) {
+            const candidates = data.images.filter((image) => (!breed || image.breed === breed)
+                && (!subBreed || image.subBreed === subBreed));
+            if (candidates.length === 0) {
+                return null;
+            }
+            return Array.from({ length: count }, () => candidates[Math.floor(random() * candidates.length)].url);
+        },
+
+        async listBreeds() {
+            return data.breeds;
+        },
+
+        describeImage(url) {
+            const image = imagesByUrl.get(url);
+            if (!image) {
+                return null;
+            }
+            return {
+                breed: image.breed,
+                subBreed: image.subBreed || null,
+                displayName: breedDisplayName(image.breed, image.subBreed || null)
+            };
+        },
+
+        breedDisplayName: breedDisplayName
+    };
+}
+
+module.exports = { createFixtureProvider };
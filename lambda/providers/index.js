@@ -0,0 +1,39 @@
+// Image providers: the sources the API fetches random images and breed lists
+// from. Every provider is an object with:
+//
+//   name                                  - stored on saved images as `provider`
+//   imageHosts                            - hosts its image URLs are served from
+//   randomImages(breed, subBreed, count)  - resolves to a list of image URLs, or
+//                                           null when it does not know the breed
+//   listBreeds()                          - resolves to [{ breed, displayName, subBreeds: [{ subBreed, displayName }] }]
+//   describeImage(url)                    - { breed, subBreed, displayName } for one of
+//                                           its image URLs, or null for any other URL
+//   breedDisplayName(breed, subBreed)     - human readable name of a breed
+//
+// To add a source, write a factory like the ones below and register it here.
+const { createDogCeoProvider } = require('./dog-ceo');
+const { createFixtureProvider } = require('./fixture');
+const { formatBreedName } = require('./breed-names');
+
+const PROVIDER_FACTORIES = {
+    'dog-ceo': createDogCeoProvider,
+    fixture: createFixtureProvider
+};
+
+// Creates the providers listed in names, in order. deps is passed to every
+// factory (see each provider for what it uses). Unknown names throw, so a
+// misconfigured function fails on its first invocation instead of serving nothing.
+function createProviders(names, deps) {
+    if (names.length === 0) {
+        throw new Error('At least one image provider must be configured');
+    }
+    return names.map((name) => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown image provider: ${name} (expected one of ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+        }
+        return factory(deps);
+    });
+}
+
+module.exports = { createProviders, formatBreedName };
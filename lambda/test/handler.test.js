@@ -0,0 +1,66 @@
+// Tests for the handler with no AWS services behind it. sharp is made
+// unresolvable and mirroring is off, as in a deployment without an images
+// bucket or with a sharp binary built for another platform; the rate limit is
+// off so requests that fail validation need no table.
+const test = require('node:test');
+const assert = require('node:assert');
+const Module = require('node:module');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+    if (request === 'sharp') {
+        throw new Error("Cannot find module 'sharp'");
+    }
+    return resolveFilename.call(this, request, ...rest);
+};
+delete process.env.IMAGES_BUCKET_NAME;
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+
+// Helper function to call the handler with its log and metric lines kept off
+// the test output. Resolves to the response.
+async function invoke(handler, event) {
+    const write = process.stdout.write;
+    process.stdout.write = () => true;
+    try {
+        return await handler(event, { awsRequestId: 'test', getRemainingTimeInMillis: () => 30000 });
+    } finally {
+        process.stdout.write = write;
+    }
+}
+
+test('the handler loads and answers requests when sharp cannot be loaded', async () => {
+    const { handler } = require('../index');
+    assert.strictEqual(typeof handler, 'function');
+
+    const preflight = await invoke(handler, { httpMethod: 'OPTIONS', path: '/api/v1/saved-images', headers: {} });
+    assert.strictEqual(preflight.statusCode, 204);
+
+    const response = await invoke(handler, {
+        httpMethod: 'GET',
+        path: '/api/v1/saved-images',
+        headers: {},
+        requestContext: { requestId: 'req-1' }
+    });
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(JSON.parse(response.body).code, 'UNAUTHORIZED');
+});
+
+test('a malformed JSON body gets a fixed message without the parser details', async () => {
+    const { handler } = require('../index');
+    const response = await invoke(handler, {
+        httpMethod: 'POST',
+        path: '/api/v1/saved-images',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"imageUrl": secret-token',
+        requestContext: { requestId: 'req-2', authorizer: { claims: { sub: 'user-1' } } }
+    });
+    assert.strictEqual(response.statusCode, 400);
+    const body = JSON.parse(response.body);
+    assert.strictEqual(body.code, 'INVALID_JSON');
+    assert.strictEqual(body.message, 'Request body is not valid JSON');
+});
+
+test('createThumbnails reports the missing module only when it is called', async () => {
+    const { createThumbnails } = require('../thumbnails');
+    await assert.rejects(createThumbnails(Buffer.alloc(0)), /Cannot find module 'sharp'/);
+});
@@ -0,0 +1,167 @@
+// Tests for the S3 image store against an in-memory stand-in for the S3 client.
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { createImageStore } = require('../image-store');
+
+// Helper function to create an in-memory S3 client with the calls the store
+// makes. Listings return at most pageSize keys per page; calls are recorded.
+function createMemoryS3({ pageSize = 1000 } = {}) {
+    const objects = new Map();
+    const calls = [];
+    const respond = (name, params, handler) => {
+        calls.push({ name, params });
+        return { promise: async () => handler() };
+    };
+
+    return {
+        objects,
+        calls,
+        putObject: (params) => respond('putObject', params, () => {
+            if (params.ContentMD5 && params.ContentMD5 !== crypto.createHash('md5').update(params.Body).digest('base64')) {
+                throw Object.assign(new Error('The Content-MD5 you specified did not match what we received.'), { code: 'BadDigest' });
+            }
+            objects.set(params.Key, { Body: params.Body, ContentType: params.ContentType, Metadata: params.Metadata });
+            return {};
+        }),
+        getObject: (params) => respond('getObject', params, () => {
+            if (!objects.has(params.Key)) {
+                throw Object.assign(new Error('The specified key does not exist.'), { code: 'NoSuchKey' });
+            }
+            return objects.get(params.Key);
+        }),
+        deleteObjects: (params) => respond('deleteObjects', params, () => {
+            params.Delete.Objects.forEach((object) => objects.delete(object.Key));
+            return {};
+        }),
+        listObjectsV2: (params) => respond('listObjectsV2', params, () => {
+            // Deletes between pages do not shift the next page, as with S3 tokens
+            const keys = [...objects.keys()].filter((key) => key.startsWith(params.Prefix)).sort();
+            const start = params.ContinuationToken ? keys.findIndex((key) => key > params.ContinuationToken) : 0;
+            const page = start < 0 ? [] : keys.slice(start, start + pageSize);
+            const truncated = start >= 0 && start + pageSize < keys.length;
+            return {
+                Contents: page.map((key) => ({ Key: key })),
+                IsTruncated: truncated,
+                NextContinuationToken: truncated ? page[page.length - 1] : undefined
+            };
+        }),
+        getSignedUrl: (operation, params) => `https://s3.test/${params.Bucket}/${params.Key}?op=${operation}&expires=${params.Expires}`
+    };
+}
+
+const IMAGE = Buffer.from('not really a jpeg');
+
+test('mirror stores the downloaded image under the user prefix with its checksum', async () => {
+    const s3 = createMemoryS3();
+    const store = createImageStore({
+        s3,
+        bucket: 'mirror-bucket',
+        download: async () => ({ data: IMAGE, contentType: 'image/JPEG; charset=binary' })
+    });
+    assert.strictEqual(store.enabled, true);
+
+    const sha256 = crypto.createHash('sha256').update(IMAGE).digest('hex');
+    const result = await store.mirror('user-1', 'image-1', 'https://images.dog.ceo/breeds/pug/1.jpg');
+    assert.deepStrictEqual(result, {
+        key: 'images/user-1/image-1',
+        contentType: 'image/jpeg',
+        size: IMAGE.length,
+        checksum: sha256,
+        data: IMAGE
+    });
+
+    const stored = s3.objects.get('images/user-1/image-1');
+    assert.strictEqual(stored.ContentType, 'image/jpeg');
+    assert.deepStrictEqual(stored.Metadata, { sha256: sha256 });
+    assert.strictEqual(s3.calls[0].params.Bucket, 'mirror-bucket');
+    assert.deepStrictEqual(await store.read('images/user-1/image-1'), IMAGE);
+});
+
+test('mirror stores nothing when the download fails or is not an image', async () => {
+    const s3 = createMemoryS3();
+    const failing = createImageStore({
+        s3,
+        bucket: 'mirror-bucket',
+        download: async () => {
+            throw new Error('socket hang up');
+        }
+    });
+    await assert.rejects(failing.mirror('user-1', 'image-1', 'https://images.dog.ceo/a.jpg'), /socket hang up/);
+
+    const html = createImageStore({
+        s3,
+        bucket: 'mirror-bucket',
+        download: async () => ({ data: Buffer.from('<html>'), contentType: 'text/html' })
+    });
+    await assert.rejects(html.mirror('user-1', 'image-1', 'https://images.dog.ceo/a.jpg'), /Not an image: text\/html/);
+
+    const untyped = createImageStore({ s3, bucket: 'mirror-bucket', download: async () => ({ data: IMAGE }) });
+    await assert.rejects(untyped.mirror('user-1', 'image-1', 'https://images.dog.ceo/a.jpg'), /Not an image: no content type/);
+
+    assert.strictEqual(s3.objects.size, 0);
+});
+
+test('mirror passes on S3 write failures', async () => {
+    const s3 = createMemoryS3();
+    s3.putObject = () => ({
+        promise: async () => {
+            throw Object.assign(new Error('Access Denied'), { code: 'AccessDenied' });
+        }
+    });
+    const store = createImageStore({ s3, bucket: 'mirror-bucket', download: async () => ({ data: IMAGE, contentType: 'image/png' }) });
+    await assert.rejects(store.mirror('user-1', 'image-1', 'https://images.dog.ceo/a.png'), /Access Denied/);
+});
+
+test('the store is disabled without a bucket', () => {
+    const store = createImageStore({ s3: createMemoryS3(), bucket: undefined, download: async () => ({}) });
+    assert.strictEqual(store.enabled, false);
+});
+
+test('putRendition stores a WebP rendition next to the copy', async () => {
+    const s3 = createMemoryS3();
+    const store = createImageStore({ s3, bucket: 'mirror-bucket', download: async () => ({}) });
+    const key = await store.putRendition('user-1', 'image-1', { name: 'small', data: IMAGE, contentType: 'image/webp' });
+    assert.strictEqual(key, 'images/user-1/image-1.small.webp');
+    assert.strictEqual(s3.objects.get(key).ContentType, 'image/webp');
+});
+
+test('signedUrl signs a GET for the key with the configured lifetime', () => {
+    const store = createImageStore({ s3: createMemoryS3(), bucket: 'mirror-bucket', download: async () => ({}), urlTtlSeconds: 300 });
+    assert.strictEqual(
+        store.signedUrl('images/user-1/image-1'),
+        'https://s3.test/mirror-bucket/images/user-1/image-1?op=getObject&expires=300'
+    );
+});
+
+test('remove deletes the given keys in batches of 1000', async () => {
+    const s3 = createMemoryS3();
+    const store = createImageStore({ s3, bucket: 'mirror-bucket', download: async () => ({}) });
+    const keys = Array.from({ length: 2500 }, (_, index) => `images/user-1/image-${index}`);
+    keys.forEach((key) => s3.objects.set(key, { Body: IMAGE }));
+    s3.objects.set('images/user-1/kept', { Body: IMAGE });
+
+    await store.remove(keys);
+
+    const deletes = s3.calls.filter((call) => call.name === 'deleteObjects');
+    assert.deepStrictEqual(deletes.map((call) => call.params.Delete.Objects.length), [1000, 1000, 500]);
+    assert.deepStrictEqual([...s3.objects.keys()], ['images/user-1/kept']);
+
+    await store.remove([]);
+    assert.strictEqual(s3.calls.filter((call) => call.name === 'deleteObjects').length, 3);
+});
+
+test('removeUser deletes every object of one user across listing pages', async () => {
+    const s3 = createMemoryS3({ pageSize: 2 });
+    const store = createImageStore({ s3, bucket: 'mirror-bucket', download: async () => ({ data: IMAGE, contentType: 'image/jpeg' }) });
+    for (const imageId of ['a', 'b', 'c']) {
+        await store.mirror('user-1', imageId, `https://images.dog.ceo/${imageId}.jpg`);
+        await store.putRendition('user-1', imageId, { name: 'small', data: IMAGE, contentType: 'image/webp' });
+    }
+    await store.mirror('user-10', 'a', 'https://images.dog.ceo/a.jpg');
+
+    assert.strictEqual(await store.removeUser('user-1'), 6);
+    assert.deepStrictEqual([...s3.objects.keys()], ['images/user-10/a']);
+    assert.strictEqual(s3.calls.filter((call) => call.name === 'listObjectsV2').length, 3);
+    assert.strictEqual(await store.removeUser('user-2'), 0);
+});
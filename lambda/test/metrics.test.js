@@ -0,0 +1,125 @@
+// Tests for the EMF emitter. The documents are captured through the write
+// option instead of stdout, with a fixed clock.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../metrics');
+
+// Helper function to create a recorder whose flushed documents are parsed into lines
+function captureMetrics(options = {}) {
+    const lines = [];
+    const metrics = createMetrics({
+        write: (line) => lines.push(JSON.parse(line)),
+        now: () => 1700000000000,
+        ...options
+    });
+    return { metrics, lines };
+}
+
+test('flush writes one EMF document with the metrics and their dimensions', () => {
+    const { metrics, lines } = captureMetrics();
+    metrics.count('ImagesSaved');
+    metrics.count('ImagesSaved', 2);
+    metrics.timing('DogApiLatency', 120.4);
+    metrics.timing('DogApiLatency', 80);
+    metrics.setDimensions({ Stage: 'prod', Route: 'POST /v1/saved-images' });
+
+    assert.strictEqual(metrics.flush(), 1);
+    assert.strictEqual(lines.length, 1);
+    const [document] = lines;
+    assert.deepStrictEqual(document._aws, {
+        Timestamp: 1700000000000,
+        CloudWatchMetrics: [{
+            Namespace: 'DogApi',
+            Dimensions: [['Stage'], ['Stage', 'Route']],
+            Metrics: [
+                { Name: 'ImagesSaved', Unit: 'Count' },
+                { Name: 'DogApiLatency', Unit: 'Milliseconds' }
+            ]
+        }]
+    });
+    assert.strictEqual(document.Stage, 'prod');
+    assert.strictEqual(document.Route, 'POST /v1/saved-images');
+    assert.strictEqual(document.ImagesSaved, 3);
+    assert.deepStrictEqual(document.DogApiLatency, [120, 80]);
+});
+
+test('errors are counted per code in their own documents', () => {
+    const { metrics, lines } = captureMetrics({ namespace: 'DogApiTest' });
+    metrics.setDimensions({ Stage: 'dev', Route: 'GET /v1/random' });
+    metrics.error('UPSTREAM_UNAVAILABLE');
+    metrics.error('UPSTREAM_UNAVAILABLE');
+    metrics.error('RATE_LIMITED');
+
+    assert.strictEqual(metrics.flush(), 2);
+    const byCode = Object.fromEntries(lines.map((document) => [document.ErrorCode, document]));
+    assert.strictEqual(byCode.UPSTREAM_UNAVAILABLE.Errors, 2);
+    assert.strictEqual(byCode.RATE_LIMITED.Errors, 1);
+    assert.deepStrictEqual(byCode.RATE_LIMITED._aws.CloudWatchMetrics[0], {
+        Namespace: 'DogApiTest',
+        Dimensions: [['Stage', 'ErrorCode'], ['Stage', 'Route', 'ErrorCode']],
+        Metrics: [{ Name: 'Errors', Unit: 'Count' }]
+    });
+    assert.strictEqual(byCode.RATE_LIMITED.Route, 'GET /v1/random');
+});
+
+test('dimension sets are limited to the dimensions that were set', () => {
+    const { metrics, lines } = captureMetrics();
+    metrics.setDimensions({ Stage: 'prod' });
+    metrics.count('RandomFetches');
+    metrics.error('INTERNAL_ERROR');
+
+    metrics.flush();
+    assert.deepStrictEqual(lines[0]._aws.CloudWatchMetrics[0].Dimensions, [['Stage']]);
+    assert.deepStrictEqual(lines[1]._aws.CloudWatchMetrics[0].Dimensions, [['Stage', 'ErrorCode']]);
+    assert.strictEqual(lines[0].Route, undefined);
+});
+
+test('time records the duration whether the function resolves or throws', async () => {
+    let clock = 0;
+    const { metrics, lines } = captureMetrics({ now: () => clock });
+    await metrics.time('DynamoDbLatency', async () => {
+        clock += 25;
+    });
+    await assert.rejects(metrics.time('DynamoDbLatency', async () => {
+        clock += 40;
+        throw new Error('throttled');
+    }), /throttled/);
+
+    metrics.setDimensions({ Stage: 'prod', Route: 'GET /v1/saved-images' });
+    metrics.flush();
+    assert.deepStrictEqual(lines[0].DynamoDbLatency, [25, 40]);
+});
+
+test('flush empties the buffer and writes nothing when nothing was recorded', () => {
+    const { metrics, lines } = captureMetrics();
+    metrics.count('ImagesDeleted');
+    metrics.flush();
+    assert.strictEqual(metrics.flush(), 0);
+    assert.strictEqual(lines.length, 1);
+});
+
+test('metrics past 100 per document are split across documents', () => {
+    const { metrics, lines } = captureMetrics();
+    for (let index = 0; index < 150; index++) {
+        metrics.count(`Metric${index}`);
+    }
+    metrics.flush();
+    assert.deepStrictEqual(lines.map((document) => document._aws.CloudWatchMetrics[0].Metrics.length), [100, 50]);
+});
+
+test('by default documents are written to stdout', () => {
+    const written = [];
+    const originalWrite = process.stdout.write;
+    process.stdout.write = (line) => written.push(line);
+    try {
+        const metrics = createMetrics();
+        metrics.setDimensions({ Stage: 'prod', Route: 'GET /v1/random' });
+        metrics.count('RandomFetches');
+        metrics.flush();
+    } finally {
+        process.stdout.write = originalWrite;
+    }
+    assert.strictEqual(written.length, 1);
+    assert.ok(written[0].endsWith('\n'));
+    assert.strictEqual(JSON.parse(written[0]).RandomFetches, 1);
+});
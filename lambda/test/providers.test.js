@@ -0,0 +1,110 @@
+// Tests for the image providers: choosing them by name, the fixture provider's
+// answers, and the random image route served from the fixture with the network
+// blocked.
+const test = require('node:test');
+const assert = require('node:assert');
+const https = require('node:https');
+const { createProviders, formatBreedName } = require('../providers');
+const { createFixtureProvider } = require('../providers/fixture');
+const fixture = require('../providers/fixtures/dogs.json');
+
+// Any call to the network fails the test that made it
+https.request = () => {
+    throw new Error('Network access is not allowed in tests');
+};
+https.get = https.request;
+
+// Helper function to create a random source that returns the given values in turn
+function sequence(...values) {
+    let next = 0;
+    return () => values[next++ % values.length];
+}
+
+test('createProviders builds the named providers in order', () => {
+    const providers = createProviders(['fixture', 'dog-ceo'], { fetchJson: async () => ({}) });
+    assert.deepStrictEqual(providers.map((provider) => provider.name), ['fixture', 'dog-ceo']);
+});
+
+test('createProviders rejects unknown names and an empty list', () => {
+    assert.throws(() => createProviders(['fixture', 'unsplash'], {}), /Unknown image provider: unsplash \(expected one of dog-ceo, fixture\)/);
+    assert.throws(() => createProviders([], {}), /At least one image provider must be configured/);
+});
+
+test('the fixture provider serves images from its file for the requested breed', async () => {
+    const provider = createFixtureProvider({ random: sequence(0, 0.99) });
+
+    const afghans = await provider.randomImages('hound', 'afghan', 2);
+    assert.deepStrictEqual(afghans, [
+        'https://images.dog.ceo/breeds/hound-afghan/n02088094_1003.jpg',
+        'https://images.dog.ceo/breeds/hound-afghan/n02088094_1007.jpg'
+    ]);
+
+    const any = await provider.randomImages(null, null, 3);
+    assert.strictEqual(any.length, 3);
+    const urls = new Set(fixture.images.map((image) => image.url));
+    any.forEach((url) => assert.ok(urls.has(url), url));
+
+    assert.strictEqual(await provider.randomImages('beagle', null, 1), null);
+    assert.strictEqual(await provider.randomImages('hound', 'basset', 1), null);
+});
+
+test('the fixture provider lists its breed catalog and image hosts', async () => {
+    const provider = createFixtureProvider();
+    assert.deepStrictEqual(await provider.listBreeds(), fixture.breeds);
+    assert.deepStrictEqual(provider.imageHosts, ['images.dog.ceo']);
+});
+
+test('the fixture provider describes its own images and no others', () => {
+    const provider = createFixtureProvider();
+    assert.deepStrictEqual(provider.describeImage('https://images.dog.ceo/breeds/retriever-golden/n02099601_100.jpg'), {
+        breed: 'retriever',
+        subBreed: 'golden',
+        displayName: 'Golden Retriever'
+    });
+    assert.deepStrictEqual(provider.describeImage('https://images.dog.ceo/breeds/pug/n02110958_1975.jpg'), {
+        breed: 'pug',
+        subBreed: null,
+        displayName: 'Pug'
+    });
+    assert.strictEqual(provider.describeImage('https://images.dog.ceo/breeds/pug/unknown.jpg'), null);
+});
+
+test('the fixture provider names breeds from its catalog, falling back to the formatted name', () => {
+    const provider = createFixtureProvider();
+    assert.strictEqual(provider.breedDisplayName('hound', null), 'Hound');
+    assert.strictEqual(provider.breedDisplayName('terrier', 'yorkshire'), 'Yorkshire Terrier');
+    assert.strictEqual(provider.breedDisplayName('beagle', null), formatBreedName('beagle', null));
+    assert.strictEqual(provider.breedDisplayName('hound', 'basset'), formatBreedName('hound', 'basset'));
+});
+
+test('with IMAGE_PROVIDERS=fixture the random image route answers without the network', async (t) => {
+    Object.assign(process.env, {
+        IMAGE_PROVIDERS: 'fixture',
+        RATE_LIMIT_PER_MINUTE: '0',
+        RANDOM_FETCH_DAILY_LIMIT: '0'
+    });
+    const { handler } = require('../index');
+    t.mock.method(process.stdout, 'write', () => true);
+
+    const request = (query) => handler({
+        httpMethod: 'GET',
+        path: '/api/v1/images/random',
+        headers: {},
+        queryStringParameters: query,
+        requestContext: { requestId: 'req-1', authorizer: { claims: { sub: 'user-1' } } }
+    }, { awsRequestId: 'test', getRemainingTimeInMillis: () => 30000 });
+
+    const response = await request({ breed: 'retriever', subBreed: 'golden', count: '3' });
+    assert.strictEqual(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.strictEqual(body.count, 3);
+    assert.strictEqual(body.fallback, false);
+    body.dogImages.forEach((image) => {
+        assert.strictEqual(image.provider, 'fixture');
+        assert.match(image.message, /^https:\/\/images\.dog\.ceo\/breeds\/retriever-golden\//);
+    });
+
+    const unknown = await request({ breed: 'beagle' });
+    assert.strictEqual(unknown.statusCode, 404);
+    assert.strictEqual(JSON.parse(unknown.body).code, 'BREED_NOT_FOUND');
+});
@@ -0,0 +1,109 @@
+// Round-trip tests for the ZIP writer: archives are read back with yauzl, an
+// independent unzip implementation, and compared with what was written. yauzl
+// checks entry sizes but not CRCs, so crc32 is checked against the standard
+// check value.
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { PassThrough } = require('node:stream');
+const yauzl = require('yauzl');
+const { createZipWriter, crc32 } = require('../zip');
+
+// Helper function to write files ([{ name, data }]) through the writer, adding
+// them all at once as the export workers do. Resolves to the archive bytes and
+// the entry count finish() reported.
+async function writeArchive(files) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => output.on('end', resolve));
+
+    const zip = createZipWriter(output);
+    await Promise.all(files.map((file) => zip.addFile(file.name, file.data)));
+    const count = await zip.finish();
+    await ended;
+    return { archive: Buffer.concat(chunks), count };
+}
+
+// Helper function to extract every entry of an archive with yauzl. Resolves to
+// [{ name, data, compressionMethod }] in archive order.
+function readArchive(archive) {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(archive, { lazyEntries: true, strictFileNames: true, validateEntrySizes: true }, (error, zipfile) => {
+            if (error) {
+                return reject(error);
+            }
+            const entries = [];
+            zipfile.on('error', reject);
+            zipfile.on('end', () => resolve(entries));
+            zipfile.on('entry', (entry) => {
+                zipfile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        return reject(streamError);
+                    }
+                    const chunks = [];
+                    stream.on('data', (chunk) => chunks.push(chunk));
+                    stream.on('error', reject);
+                    stream.on('end', () => {
+                        entries.push({ name: entry.fileName, data: Buffer.concat(chunks), compressionMethod: entry.compressionMethod });
+                        zipfile.readEntry();
+                    });
+                });
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+});
+
+test('archives unzip to the files that were added', async () => {
+    const files = [
+        { name: 'images/0001-pug.jpg', data: crypto.randomBytes(200 * 1024) },
+        { name: 'images/0002-husky.png', data: crypto.randomBytes(3000) },
+        { name: 'notes/empty.txt', data: Buffer.alloc(0) },
+        { name: 'images/0003-chien-bergère.jpg', data: crypto.randomBytes(10) },
+        { name: 'manifest.json', data: Buffer.from(JSON.stringify({ records: Array(500).fill({ breed: 'pug' }) }, null, 2)) }
+    ];
+
+    const { archive, count } = await writeArchive(files);
+    assert.strictEqual(count, files.length);
+
+    const entries = await readArchive(archive);
+    assert.deepStrictEqual(entries.map((entry) => entry.name), files.map((file) => file.name));
+    entries.forEach((entry, index) => assert.ok(entry.data.equals(files[index].data), entry.name));
+
+    const methods = Object.fromEntries(entries.map((entry) => [entry.name, entry.compressionMethod]));
+    assert.strictEqual(methods['manifest.json'], 8, 'text is deflated');
+    assert.strictEqual(methods['images/0001-pug.jpg'], 0, 'incompressible data is stored');
+});
+
+test('an archive without entries is still valid', async () => {
+    const { archive, count } = await writeArchive([]);
+    assert.strictEqual(count, 0);
+    assert.deepStrictEqual(await readArchive(archive), []);
+});
+
+test('the writer refuses to go past the entry limit instead of needing ZIP64', async () => {
+    const output = new PassThrough();
+    output.resume();
+    const zip = createZipWriter(output);
+    for (let index = 0; index < 0xffff - 1; index++) {
+        await zip.addFile(`${index}`, Buffer.alloc(0));
+    }
+    await assert.rejects(zip.addFile('one-too-many', Buffer.alloc(0)), /ZIP64/);
+});
+
+test('writes fail once the output stream is destroyed', async () => {
+    const output = new PassThrough();
+    output.on('error', () => {});
+    output.resume();
+    const zip = createZipWriter(output);
+    await zip.addFile('first.txt', Buffer.from('first'));
+
+    output.destroy(new Error('upload failed'));
+    await assert.rejects(zip.addFile('second.txt', Buffer.from('second')));
+});
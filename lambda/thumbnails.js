@@ -0,0 +1,51 @@
+// Thumbnails for saved images: WebP renditions small enough for the Saved Dogs
+// grid, made with sharp from the mirrored copy of the image.
+
+// Renditions made for every image: the longest side is scaled down to size
+// pixels (images are never enlarged)
+const THUMBNAIL_RENDITIONS = [
+    { name: 'small', size: 320, quality: 70 },
+    { name: 'medium', size: 800, quality: 80 }
+];
+
+let sharpModule = null;
+
+// Helper function to load sharp on first use. It is a native module, so a
+// missing or mismatched binary only fails thumbnails, not loading the handler.
+function loadSharp() {
+    if (!sharpModule) {
+        sharpModule = require('sharp');
+        // One image at a time and no cache keep memory use low on a small Lambda
+        sharpModule.cache(false);
+        sharpModule.concurrency(1);
+    }
+    return sharpModule;
+}
+
+// Helper function to render the thumbnails of an image held in a Buffer.
+// Resolves to { width, height, renditions: [{ name, data, width, height, contentType }] },
+// where width and height are the original's as displayed (EXIF rotation applied).
+async function createThumbnails(input, renditions = THUMBNAIL_RENDITIONS) {
+    const sharp = loadSharp();
+    const metadata = await sharp(input).metadata();
+    // Orientations 5-8 are rotated by 90 degrees, so width and height swap
+    const rotated = metadata.orientation >= 5;
+
+    const results = [];
+    for (const rendition of renditions) {
+        const { data, info } = await sharp(input)
+            .rotate()
+            .resize({ width: rendition.size, height: rendition.size, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: rendition.quality })
+            .toBuffer({ resolveWithObject: true });
+        results.push({ name: rendition.name, data: data, width: info.width, height: info.height, contentType: 'image/webp' });
+    }
+
+    return {
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height,
+        renditions: results
+    };
+}
+
+module.exports = { createThumbnails, THUMBNAIL_RENDITIONS };
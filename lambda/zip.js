@@ -0,0 +1,125 @@
+// ZIP archives written one entry at a time to a stream, so an export can be
+// uploaded while its images are still downloading instead of being held in
+// memory as a whole. Archives use the classic format without ZIP64: fewer than
+// 65535 entries and offsets below 4 GiB. The writer throws rather than go past
+// those limits and produce a file that unzip tools cannot read.
+const zlib = require('zlib');
+
+// Largest entry count and byte offset the classic ZIP records can hold
+const MAX_ZIP_ENTRIES = 0xffff - 1;
+const MAX_ZIP_OFFSET = 0xffffffff;
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Creates a writer that appends ZIP entries to output, a writable stream.
+// addFile(name, data) resolves once the entry is written; entries are deflated
+// when that makes them smaller (images are usually stored as-is) and calls made
+// while another entry is being written wait their turn. finish() writes the
+// central directory, ends output and resolves to the number of entries.
+function createZipWriter(output, { now = new Date() } = {}) {
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const centralParts = [];
+    let entryCount = 0;
+    let offset = 0;
+    let queue = Promise.resolve();
+
+    // Writes a buffer and resolves once the stream has taken it, so a slow
+    // reader holds the writer back; rejects when the stream was destroyed
+    function write(buffer) {
+        offset += buffer.length;
+        return new Promise((resolve, reject) => {
+            output.write(buffer, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    async function writeEntry(fileName, data) {
+        const name = Buffer.from(fileName, 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const useDeflate = deflated.length < data.length;
+        const body = useDeflate ? deflated : data;
+        const crc = crc32(data);
+
+        if (entryCount >= MAX_ZIP_ENTRIES || offset + 30 + name.length + body.length > MAX_ZIP_OFFSET) {
+            throw new Error('ZIP archive would need ZIP64, which is not supported');
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+        entryCount++;
+
+        await write(Buffer.concat([local, name]));
+        await write(body);
+    }
+
+    // Runs one write after the previous one has finished
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        addFile: (name, data) => enqueue(() => writeEntry(name, data)),
+
+        finish: () => enqueue(async () => {
+            const centralDirectory = Buffer.concat(centralParts);
+            if (offset + centralDirectory.length > MAX_ZIP_OFFSET) {
+                throw new Error('ZIP archive would need ZIP64, which is not supported');
+            }
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entryCount, 8);
+            end.writeUInt16LE(entryCount, 10);
+            end.writeUInt32LE(centralDirectory.length, 12);
+            end.writeUInt32LE(offset, 16);
+
+            await write(centralDirectory);
+            await write(end);
+            output.end();
+            return entryCount;
+        })
+    };
+}
+
+module.exports = { createZipWriter, crc32 };
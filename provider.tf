@@ -4,6 +4,14 @@ terraform {
       source  = "hashicorp/aws"
       version = "~> 5.0"
     }
+    random = {
+      source  = "hashicorp/random"
+      version = "~> 3.0"
+    }
+    null = {
+      source  = "hashicorp/null"
+      version = "~> 3.0"
+    }
   }
 }
 
@@ -16,3 +24,75 @@ variable "aws_region" {
   type        = string
   default     = "us-east-1"
 }
+
+variable "image_providers" {
+  description = "Image providers the API Lambda fetches from, in order: dog-ceo and/or fixture"
+  type        = list(string)
+  default     = ["dog-ceo"]
+}
+
+variable "allowed_image_hosts" {
+  description = "Hosts that saved dog image URLs may point at; empty means the hosts of the image providers"
+  type        = list(string)
+  default     = []
+}
+
+variable "log_level" {
+  description = "Lowest level the API Lambda logs: debug, info, warn or error"
+  type        = string
+  default     = "info"
+}
+
+variable "log_redact_fields" {
+  description = "Extra request or log field names whose values the API Lambda masks in its logs"
+  type        = list(string)
+  default     = []
+}
+
+variable "cors_allowed_origins" {
+  description = "Extra browser origins allowed to call the API, besides the CloudFront site"
+  type        = list(string)
+  default     = []
+}
+
+variable "metrics_namespace" {
+  description = "CloudWatch namespace of the metrics the API Lambda publishes"
+  type        = string
+  default     = "DogApi"
+}
+
+variable "dog_api_latency_alarm_ms" {
+  description = "p90 Dog API latency, in milliseconds, above which the latency alarm fires"
+  type        = number
+  default     = 1500
+}
+
+variable "server_error_alarm_threshold" {
+  description = "Number of INTERNAL_ERROR and UPSTREAM_UNAVAILABLE responses in five minutes that fires the error alarm"
+  type        = number
+  default     = 5
+}
+
+variable "rate_limit_per_minute" {
+  description = "API requests each signed-in user may make per minute; 0 turns the limit off"
+  type        = number
+  default     = 120
+}
+
+variable "random_fetch_daily_limit" {
+  description = "Random dog images each user may fetch per UTC day; 0 turns the limit off"
+  type        = number
+  default     = 1000
+}
+
+variable "max_saved_images_per_user" {
+  description = "Saved images each user may keep; 0 turns the limit off"
+  type        = number
+  default     = 5000
+}
+
+variable "admin_group_name" {
+  description = "Cognito group whose members get the admin role in the API"
+  type        = string
+  default     = "admin"
+}
@@ -71,3 +71,145 @@ resource "aws_s3_bucket_acl" "website" {
   bucket = aws_s3_bucket.website.id
   acl    = "private"
 }
+
+# S3 bucket for ZIP exports of a user's saved images. Objects are only read
+# through short-lived pre-signed URLs and expire after a day.
+resource "aws_s3_bucket" "exports" {
+  bucket = "${local.project_name}-exports-${random_string.bucket_suffix.result}"
+
+  tags = local.common_tags
+}
+
+# S3 bucket public access block for exports
+resource "aws_s3_bucket_public_access_block" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+# Server-side encryption for exports
+resource "aws_s3_bucket_server_side_encryption_configuration" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+# Remove export archives after a day
+resource "aws_s3_bucket_lifecycle_configuration" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  rule {
+    id     = "expire-exports"
+    status = "Enabled"
+
+    filter {
+      prefix = "exports/"
+    }
+
+    expiration {
+      days = 1
+    }
+  }
+}
+
+# IAM policy for Lambda to write export archives and sign download URLs
+resource "aws_iam_policy" "lambda_exports" {
+  name        = "${local.project_name}-lambda-exports-policy"
+  description = "Policy for Lambda to write and read export archives in S3"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:PutObject",
+          "s3:GetObject"
+        ]
+        Resource = "${aws_s3_bucket.exports.arn}/exports/*"
+      }
+    ]
+  })
+
+  tags = local.common_tags
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_exports" {
+  role       = aws_iam_role.lambda_exec.name
+  policy_arn = aws_iam_policy.lambda_exports.arn
+}
+
+# Private S3 bucket holding copies of saved images, so saved dogs survive the
+# upstream removing or renaming a file. Objects are only read through
+# short-lived pre-signed URLs.
+resource "aws_s3_bucket" "images" {
+  bucket = "${local.project_name}-images-${random_string.bucket_suffix.result}"
+
+  tags = local.common_tags
+}
+
+# S3 bucket public access block for mirrored images
+resource "aws_s3_bucket_public_access_block" "images" {
+  bucket = aws_s3_bucket.images.id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+# Server-side encryption for mirrored images
+resource "aws_s3_bucket_server_side_encryption_configuration" "images" {
+  bucket = aws_s3_bucket.images.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+# IAM policy for Lambda to copy images, sign URLs to them and delete them
+resource "aws_iam_policy" "lambda_images" {
+  name        = "${local.project_name}-lambda-images-policy"
+  description = "Policy for Lambda to manage mirrored images in S3"
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "s3:PutObject",
+          "s3:GetObject",
+          "s3:DeleteObject"
+        ]
+        Resource = "${aws_s3_bucket.images.arn}/images/*"
+      },
+      {
+        Effect   = "Allow"
+        Action   = "s3:ListBucket"
+        Resource = aws_s3_bucket.images.arn
+        Condition = {
+          StringLike = {
+            "s3:prefix" = "images/*"
+          }
+        }
+      }
+    ]
+  })
+
+  tags = local.common_tags
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_images" {
+  role       = aws_iam_role.lambda_exec.name
+  policy_arn = aws_iam_policy.lambda_images.arn
+}
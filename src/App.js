@@ -1,4 +1,4 @@
-﻿import React, { useState, useEffect } from 'react';
+﻿import React, { useState, useEffect, useCallback } from 'react';
 import { Amplify } from 'aws-amplify';
 import { getCurrentUser, signOut, fetchAuthSession, signIn, signUp, confirmSignUp, deleteUser } from 'aws-amplify/auth';
 import { get, post } from 'aws-amplify/api';
@@ -70,6 +70,707 @@ console.log('=====================================');
 console.log('✅ All environment variables are available and embedded in the build!');
 console.log('🌐 This app will work in the browser without server-side dependencies.');
 
+// Header that ties an API call to the backend's log entries; the API echoes it back
+const CORRELATION_ID_HEADER = 'X-Correlation-Id';
+
+// Headers for a Lambda API call: the ID token when there is one, plus a fresh
+// correlation ID
+function apiHeaders(jwtToken) {
+  return {
+    ...(jwtToken && { 'Authorization': `Bearer ${jwtToken}` }),
+    [CORRELATION_ID_HEADER]: window.crypto.randomUUID()
+  };
+}
+
+// Send a request to the Lambda API with the signed-in user's ID token and
+// resolve to the raw response; throws when there is no session.
+async function fetchApi(path, { method = 'GET', body, headers = {} } = {}) {
+  const session = await fetchAuthSession();
+  const jwtToken = session?.tokens?.idToken?.toString();
+
+  if (!jwtToken) {
+    throw new Error('Authentication required. Please sign in again.');
+  }
+
+  return fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...apiHeaders(jwtToken),
+      ...headers
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+}
+
+// Call the Lambda API as the signed-in user. Resolves to the response status
+// and parsed JSON body; throws when there is no session.
+async function callApi(path, options) {
+  const response = await fetchApi(path, options);
+  const data = await response.json().catch(() => ({}));
+
+  return { ok: response.ok, status: response.status, data };
+}
+
+// Friendly messages for the error codes in the API's error envelope
+// ({ code, message, requestId }). Codes not listed here show the API's message.
+const API_ERROR_MESSAGES = {
+  UNAUTHORIZED: 'Your session has expired. Please sign in again.',
+  INVALID_JSON: 'The request could not be read. Please try again.',
+  INVALID_PAGE_TOKEN: 'The list changed while loading more. Please refresh it.',
+  IMAGE_NOT_FOUND: 'That dog is no longer in your saved collection.',
+  IMAGE_NOT_IN_COLLECTION: 'That dog is no longer in this collection.',
+  COLLECTION_NOT_FOUND: 'That collection no longer exists.',
+  SHARE_NOT_FOUND: 'This share link does not exist, has expired or was revoked.',
+  BREED_NOT_FOUND: 'No dogs found for the selected breed.',
+  VERSION_CONFLICT: 'This dog was edited somewhere else. Its latest version is shown; try again.',
+  IDEMPOTENCY_KEY_REUSED: 'This save could not be repeated. Fetch a new dog and try again.',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'This dog is still being saved. Please wait a moment.',
+  CONFIRMATION_MISMATCH: 'The email you typed does not match your account.',
+  PURGE_INCOMPLETE: 'Some of your data could not be deleted yet. Please try again.',
+  EXPORT_TOO_LARGE: 'Your collection is too large for this format. Export it as a ZIP instead.',
+  ROUTE_NOT_FOUND: 'This feature is not available on the server yet.',
+  METHOD_NOT_ALLOWED: 'This feature is not available on the server yet.',
+  UPSTREAM_UNAVAILABLE: 'The Dog API is not responding right now. Please try again in a moment.',
+  RATE_LIMITED: 'You are going a little too fast. Please wait a moment and try again.',
+  RANDOM_FETCH_QUOTA_EXCEEDED: 'You have seen all the dogs you can fetch today. Come back tomorrow for more!',
+  SAVED_IMAGES_LIMIT_REACHED: 'Your saved collection is full. Delete some dogs to make room for new ones.',
+  FORBIDDEN: 'You do not have access to this feature.',
+  FLAG_NOT_FOUND: 'That report no longer exists.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again.'
+};
+
+// Turn an API error body into a message for the user. Server-side failures
+// carry the request id so a report can be matched to the logs.
+function describeApiError(data, fallback = 'Unknown error') {
+  const message = API_ERROR_MESSAGES[data?.code] || data?.message || fallback;
+  return data?.code === 'INTERNAL_ERROR' && data.requestId
+    ? `${message} (reference ${data.requestId})`
+    : message;
+}
+
+// Seconds a 429 answer asks us to wait, from its body or Retry-After header, or
+// null for any other answer (the saved images cap has no wait)
+function retryAfterSeconds(response, data) {
+  if (response.status !== 429) {
+    return null;
+  }
+  const seconds = Number(data?.retryAfterSeconds ?? response.headers.get('Retry-After'));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : null;
+}
+
+// A wait in seconds as "45s", "12 min" or "3 h 5 min"
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// srcset of a saved image's thumbnails, or undefined when it has none
+function thumbnailSrcSet(dog) {
+  if (!dog.thumbnails) {
+    return undefined;
+  }
+  return Object.values(dog.thumbnails)
+    .filter((thumbnail) => thumbnail.url)
+    .map((thumbnail) => `${thumbnail.url} ${thumbnail.width}w`)
+    .join(', ');
+}
+
+// Token of a public share link opened as ?share=<token>
+const shareTokenFromUrl = new URLSearchParams(window.location.search).get('share');
+
+// Cognito group whose members see the Admin tab. The API checks the group on
+// its own; this only decides what the navbar shows.
+const ADMIN_GROUP_NAME = process.env.REACT_APP_ADMIN_GROUP_NAME || 'admin';
+
+// Days of saves per day shown in the admin console
+const ADMIN_STATS_DAYS = 14;
+
+// Whether the signed-in user's ID token carries the admin group
+async function sessionHasAdminGroup() {
+  const session = await fetchAuthSession();
+  const groups = session?.tokens?.idToken?.payload?.['cognito:groups'] || [];
+  return (Array.isArray(groups) ? groups : [groups]).includes(ADMIN_GROUP_NAME);
+}
+
+// Public link for a share token, opening this app's read-only share page
+function buildShareUrl(token) {
+  return `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(token)}`;
+}
+
+// Read-only page for a public share link. It needs no sign-in and calls the
+// unauthenticated share route.
+function PublicShareView({ token }) {
+  const [share, setShare] = useState(null);
+  const [dogs, setDogs] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSharedDogs = useCallback(async (pageToken = null) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ limit: '50' });
+      if (pageToken) {
+        params.set('nextToken', pageToken);
+      }
+
+      const response = await fetch(
+        `${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/public/v1/shares/${encodeURIComponent(token)}?${params}`,
+        { headers: apiHeaders() }
+      );
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        setShare(data.share);
+        setDogs(prev => (pageToken ? [...prev, ...data.savedImages] : data.savedImages));
+        setNextToken(data.nextToken || null);
+        setError('');
+      } else {
+        setError(describeApiError(data, 'This share link could not be opened.'));
+      }
+    } catch (error) {
+      console.error('💥 Error loading shared dogs:', error);
+      setError('This share link could not be opened. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSharedDogs();
+  }, [fetchSharedDogs]);
+
+  return (
+    <div className="App authenticated">
+      <div className="saved-dogs-container">
+        <div className="saved-dogs-header">
+          <h3 className="auth-heading">🐕 {share?.title || 'Shared Dogs'}</h3>
+          <p className="auth-text">
+            Someone shared these dogs with you.
+            {share?.expires_at && ` This link expires on ${new Date(share.expires_at).toLocaleDateString()}.`}
+          </p>
+          <div className="saved-dogs-actions">
+            <a className="auth-button auth-button-outline" href={window.location.pathname}>
+              🏠 Open the app
+            </a>
+          </div>
+        </div>
+
+        {error && (
+          <div className="error-container">
+            <div className="auth-error">
+              ⚠️ {error}
+            </div>
+          </div>
+        )}
+
+        {loading && dogs.length === 0 ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p className="auth-text">Loading shared dogs...</p>
+          </div>
+        ) : !error && dogs.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-icon">🐕</div>
+            <h4 className="auth-heading">No dogs here yet!</h4>
+          </div>
+        ) : (
+          <div className="saved-dogs-grid">
+            {dogs.map((dog) => (
+              <div key={dog.id} className="saved-dog-card">
+                <div className="saved-dog-image-container">
+                  <img
+                    src={dog.image_url}
+                    alt={`Shared dog - ${dog.breed_display_name || 'Unknown breed'}`}
+                    className="saved-dog-image"
+                  />
+                </div>
+                <div className="saved-dog-info">
+                  <h4 className="saved-dog-breed">{dog.breed_display_name || 'Unknown Breed'}</h4>
+                  {dog.rating && (
+                    <p className="saved-dog-rating" title={`${dog.rating} out of 5`}>
+                      {'★'.repeat(dog.rating)}{'☆'.repeat(5 - dog.rating)}
+                    </p>
+                  )}
+                  {dog.description && (
+                    <p className="saved-dog-description">{dog.description}</p>
+                  )}
+                  {dog.tags.length > 0 && (
+                    <div className="saved-dog-tags">
+                      {dog.tags.map((tag) => (
+                        <span key={tag} className="tag-chip">#{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {nextToken && (
+          <div className="saved-dogs-footer">
+            <button
+              className="auth-button auth-button-outline"
+              onClick={() => fetchSharedDogs(nextToken)}
+              disabled={loading}
+              data-loading={loading}
+            >
+              {loading ? 'Loading...' : '⬇️ Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Admin console: system totals, the user list with a drill-down into one user's
+// saved dogs, and the queue of flagged images. Only members of the admin group
+// see the tab; the API checks the group again on every admin route.
+function AdminConsole() {
+  const [view, setView] = useState('overview'); // 'overview', 'users', 'flags'
+  const [stats, setStats] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [usersNextToken, setUsersNextToken] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [userImages, setUserImages] = useState([]);
+  const [userImagesNextToken, setUserImagesNextToken] = useState(null);
+  const [flagStatus, setFlagStatus] = useState('open');
+  const [flags, setFlags] = useState([]);
+  const [flagsNextToken, setFlagsNextToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Run an admin call with the loading flag and error banner handled; resolves
+  // to the response body, or null when the call failed
+  const runAdminCall = useCallback(async (path, options, failureMessage) => {
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(path, options);
+      if (!ok) {
+        setError(`${failureMessage}: ${describeApiError(data)}`);
+        return null;
+      }
+      setError('');
+      return data;
+    } catch (error) {
+      console.error(`💥 ${failureMessage}:`, error);
+      setError(`${failureMessage}: ${error.message}`);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchStats = useCallback(async () => {
+    const data = await runAdminCall(`/admin/v1/stats?days=${ADMIN_STATS_DAYS}`, {}, 'Failed to load stats');
+    if (data) {
+      setStats(data);
+    }
+  }, [runAdminCall]);
+
+  const fetchUsers = useCallback(async (pageToken = null) => {
+    const params = new URLSearchParams({ limit: '20' });
+    if (search) {
+      params.set('search', search);
+    }
+    if (pageToken) {
+      params.set('nextToken', pageToken);
+    }
+
+    const data = await runAdminCall(`/admin/v1/users?${params}`, {}, 'Failed to load users');
+    if (data) {
+      setUsers(prev => (pageToken ? [...prev, ...data.users] : data.users));
+      setUsersNextToken(data.nextToken || null);
+    }
+  }, [runAdminCall, search]);
+
+  const fetchUserImages = async (user, pageToken = null) => {
+    const params = new URLSearchParams({ limit: '24' });
+    if (pageToken) {
+      params.set('nextToken', pageToken);
+    }
+
+    const data = await runAdminCall(
+      `/admin/v1/users/${encodeURIComponent(user.userId)}/saved-images?${params}`,
+      {},
+      'Failed to load saved dogs'
+    );
+    if (data) {
+      setUserImages(prev => (pageToken ? [...prev, ...data.savedImages] : data.savedImages));
+      setUserImagesNextToken(data.nextToken || null);
+    }
+  };
+
+  const fetchFlags = useCallback(async (pageToken = null) => {
+    const params = new URLSearchParams({ status: flagStatus, limit: '20' });
+    if (pageToken) {
+      params.set('nextToken', pageToken);
+    }
+
+    const data = await runAdminCall(`/admin/v1/flags?${params}`, {}, 'Failed to load flagged images');
+    if (data) {
+      setFlags(prev => (pageToken ? [...prev, ...data.flags] : data.flags));
+      setFlagsNextToken(data.nextToken || null);
+    }
+  }, [runAdminCall, flagStatus]);
+
+  // Load the open view, and reload it when its search or status filter changes
+  useEffect(() => {
+    if (view === 'overview') {
+      fetchStats();
+    }
+  }, [view, fetchStats]);
+
+  useEffect(() => {
+    if (view === 'users') {
+      fetchUsers();
+    }
+  }, [view, fetchUsers]);
+
+  useEffect(() => {
+    if (view === 'flags') {
+      fetchFlags();
+    }
+  }, [view, fetchFlags]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSelectedUser(null);
+    setSearch(searchInput.trim());
+  };
+
+  const openUser = (user) => {
+    setSelectedUser(user);
+    setUserImages([]);
+    fetchUserImages(user);
+  };
+
+  // Remove one of a user's saved dogs. The reason goes to the audit trail; a
+  // flagId marks that flag resolved by the removal.
+  const handleRemoveImage = async (userId, imageId, flagId = null) => {
+    const reason = window.prompt('Why is this dog being removed? (recorded in the audit trail)', '');
+    if (reason === null) return;
+
+    const data = await runAdminCall(
+      `/admin/v1/users/${encodeURIComponent(userId)}/saved-images/${encodeURIComponent(imageId)}`,
+      {
+        method: 'DELETE',
+        body: {
+          ...(reason.trim() && { reason: reason.trim() }),
+          ...(flagId && { flagId })
+        }
+      },
+      'Failed to remove image'
+    );
+    if (!data) return;
+
+    setUserImages(prev => prev.filter((image) => image.id !== imageId));
+    setUsers(prev => prev.map((user) => (
+      user.userId === userId ? { ...user, savedImageCount: Math.max((user.savedImageCount || 1) - 1, 0) } : user
+    )));
+    if (flagId) {
+      await fetchFlags();
+    }
+  };
+
+  const handleUpdateFlag = async (flag, status) => {
+    const data = await runAdminCall(
+      `/admin/v1/flags/${encodeURIComponent(flag.id)}`,
+      { method: 'PATCH', body: { status } },
+      'Failed to update flag'
+    );
+    if (data) {
+      // The flag leaves the list it was in
+      setFlags(prev => prev.filter((item) => item.id !== flag.id));
+    }
+  };
+
+  const renderOverview = () => {
+    const busiestDay = Math.max(1, ...(stats?.savesPerDay || []).map((day) => day.saves));
+    return (
+      <div className="collections-bar admin-section">
+        {!stats ? (
+          <p className="auth-text">{loading ? 'Loading stats...' : 'No stats yet.'}</p>
+        ) : (
+          <>
+            <div className="admin-totals">
+              <div className="admin-total">
+                <span className="admin-total-value">{stats.users}</span>
+                <span className="auth-text auth-text-small">Users</span>
+              </div>
+              <div className="admin-total">
+                <span className="admin-total-value">{stats.savesInPeriod}</span>
+                <span className="auth-text auth-text-small">Saves in the last {stats.savesPerDay.length} days</span>
+              </div>
+              <div className="admin-total">
+                <span className="admin-total-value">{stats.openFlags}</span>
+                <span className="auth-text auth-text-small">Open flags</span>
+              </div>
+            </div>
+            <h4 className="auth-heading">Saves per day</h4>
+            <div className="admin-saves-chart">
+              {stats.savesPerDay.map((day) => (
+                <div key={day.date} className="admin-saves-row">
+                  <span className="admin-saves-date">{day.date}</span>
+                  <div className="admin-saves-bar-track">
+                    <div className="admin-saves-bar" style={{ width: `${(day.saves / busiestDay) * 100}%` }} />
+                  </div>
+                  <span className="admin-saves-count">{day.saves}</span>
+                </div>
+              ))}
+            </div>
+            <p className="auth-text auth-text-small">User count is Cognito's estimate. Days are UTC.</p>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderUsers = () => (
+    <div className="collections-bar admin-section">
+      <form className="collections-bar-row" onSubmit={handleSearch}>
+        <input
+          type="search"
+          className="auth-input"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Email starts with… or a user id"
+          maxLength={100}
+        />
+        <button type="submit" className="auth-button auth-button-small" disabled={loading}>
+          🔍 Search
+        </button>
+      </form>
+
+      <table className="import-report-table admin-table">
+        <thead>
+          <tr>
+            <th>Email</th>
+            <th>Status</th>
+            <th>Joined</th>
+            <th>Saved dogs</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => (
+            <tr key={user.userId} className={selectedUser?.userId === user.userId ? 'admin-row-selected' : ''}>
+              <td title={user.userId}>{user.email || user.userId}</td>
+              <td>{user.enabled ? user.status : 'DISABLED'}</td>
+              <td>{user.created_at ? new Date(user.created_at).toLocaleDateString() : '—'}</td>
+              <td>{user.savedImageCount ?? '—'}</td>
+              <td>
+                <button
+                  className="auth-button auth-button-outline auth-button-small"
+                  onClick={() => openUser(user)}
+                  disabled={loading || !user.savedImageCount}
+                >
+                  View dogs
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {users.length === 0 && !loading && (
+        <p className="auth-text">{search ? `No users match "${search}".` : 'No users yet.'}</p>
+      )}
+      {usersNextToken && (
+        <button
+          className="auth-button auth-button-outline auth-button-small"
+          onClick={() => fetchUsers(usersNextToken)}
+          disabled={loading}
+        >
+          Load more users
+        </button>
+      )}
+
+      {selectedUser && (
+        <div className="admin-user-images">
+          <div className="collections-bar-row">
+            <h4 className="auth-heading">🐕 Saved dogs of {selectedUser.email || selectedUser.userId}</h4>
+            <button
+              className="auth-button auth-button-outline auth-button-small"
+              onClick={() => setSelectedUser(null)}
+            >
+              Close
+            </button>
+          </div>
+          <div className="saved-dogs-grid">
+            {userImages.map((image) => (
+              <div key={image.id} className="saved-dog-card">
+                <div className="saved-dog-image-container">
+                  <a href={image.mirror_url || image.image_url} target="_blank" rel="noopener noreferrer">
+                    <img
+                      src={image.thumbnail_url || image.mirror_url || image.image_url}
+                      loading="lazy"
+                      alt={`Saved dog - ${image.breed_display_name || 'Unknown breed'}`}
+                      className="saved-dog-image"
+                    />
+                  </a>
+                </div>
+                <div className="saved-dog-info">
+                  <h4 className="saved-dog-breed">{image.breed_display_name || image.breed || 'Unknown Breed'}</h4>
+                  {image.description && <p className="saved-dog-description">{image.description}</p>}
+                  <p className="saved-dog-date">Saved: {new Date(image.created_at).toLocaleString()}</p>
+                  <button
+                    className="delete-saved-image-btn"
+                    onClick={() => handleRemoveImage(selectedUser.userId, image.id)}
+                    disabled={loading}
+                  >
+                    🗑️ Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          {userImagesNextToken && (
+            <button
+              className="auth-button auth-button-outline auth-button-small"
+              onClick={() => fetchUserImages(selectedUser, userImagesNextToken)}
+              disabled={loading}
+            >
+              Load more dogs
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderFlags = () => (
+    <div className="collections-bar admin-section">
+      <div className="collections-bar-row">
+        {['open', 'resolved', 'dismissed'].map((status) => (
+          <button
+            key={status}
+            className={`tag-chip ${status === flagStatus ? 'tag-chip-active' : ''}`}
+            onClick={() => setFlagStatus(status)}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      {flags.length === 0 && !loading && (
+        <p className="auth-text">No {flagStatus} flags. 🎉</p>
+      )}
+      {flags.map((flag) => (
+        <div key={flag.id} className="admin-flag">
+          <a href={flag.imageUrl} target="_blank" rel="noopener noreferrer">
+            <img src={flag.imageUrl} alt="Flagged dog" className="admin-flag-image" loading="lazy" />
+          </a>
+          <div className="admin-flag-info">
+            <p className="auth-text">
+              <strong>{flag.reportCount} report{flag.reportCount !== 1 ? 's' : ''}</strong>
+              {' '}({Object.entries(flag.reasons).filter(([, count]) => count > 0).map(([reason, count]) => `${reason} ×${count}`).join(', ')})
+              {' '}· last {new Date(flag.last_flagged_at).toLocaleString()}
+            </p>
+            {flag.resolutionNote && (
+              <p className="auth-text auth-text-small">Note: {flag.resolutionNote}</p>
+            )}
+            <ul className="admin-flag-reports">
+              {flag.reports.map((report) => (
+                <li key={`${report.reporterId}-${report.created_at}`} className="auth-text auth-text-small">
+                  <span title={report.reporterId}>{report.reason}</span>
+                  {report.note && `: “${report.note}”`}
+                  {report.savedImageId && flag.status === 'open' && (
+                    <button
+                      className="auth-button auth-button-outline auth-button-small"
+                      onClick={() => handleRemoveImage(report.reporterId, report.savedImageId, flag.id)}
+                      disabled={loading}
+                      title="Remove it from this reporter's saved dogs and resolve the flag"
+                    >
+                      Remove from their saved dogs
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="share-link-actions">
+              {flag.status === 'open' ? (
+                <>
+                  <button
+                    className="auth-button auth-button-small"
+                    onClick={() => handleUpdateFlag(flag, 'resolved')}
+                    disabled={loading}
+                  >
+                    ✅ Resolve
+                  </button>
+                  <button
+                    className="auth-button auth-button-outline auth-button-small"
+                    onClick={() => handleUpdateFlag(flag, 'dismissed')}
+                    disabled={loading}
+                  >
+                    Dismiss
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="auth-button auth-button-outline auth-button-small"
+                  onClick={() => handleUpdateFlag(flag, 'open')}
+                  disabled={loading}
+                >
+                  Reopen
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+      {flagsNextToken && (
+        <button
+          className="auth-button auth-button-outline auth-button-small"
+          onClick={() => fetchFlags(flagsNextToken)}
+          disabled={loading}
+        >
+          Load more flags
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="saved-dogs-container">
+      <div className="saved-dogs-header">
+        <h3 className="auth-heading">🛡️ Admin</h3>
+        <p className="auth-text">Every action here is recorded in the audit trail.</p>
+        <div className="saved-dogs-actions">
+          {[['overview', '📊 Overview'], ['users', '👥 Users'], ['flags', '🚩 Moderation']].map(([name, label]) => (
+            <button
+              key={name}
+              className={`auth-button ${view === name ? '' : 'auth-button-outline'}`}
+              onClick={() => setView(name)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-container">
+          <div className="auth-error">
+            ⚠️ {error}
+          </div>
+        </div>
+      )}
+
+      {view === 'overview' && renderOverview()}
+      {view === 'users' && renderUsers()}
+      {view === 'flags' && renderFlags()}
+    </div>
+  );
+}
+
 // Create a separate authenticated view component to avoid circular dependency
 function AuthenticatedView() {
   const [apiResponse, setApiResponse] = useState(null);
@@ -333,24 +1034,69 @@ function App() {
   const [formData, setFormData] = useState({ email: '', password: '', confirmPassword: '', code: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const [currentTab, setCurrentTab] = useState('home'); // 'home', 'about', 'saved', 'settings'
+  const [currentTab, setCurrentTab] = useState('home'); // 'home', 'about', 'saved', 'settings', 'admin'
   const [showUserDropdown, setShowUserDropdown] = useState(false);
 
   const [dogImage, setDogImage] = useState(null);
+  // True when the API served a recently seen image because the Dog API was down
+  const [isFallbackImage, setIsFallbackImage] = useState(false);
   const [savedImages, setSavedImages] = useState(new Set());
   const [isImageSaved, setIsImageSaved] = useState(false);
+  const [saveRequestKey, setSaveRequestKey] = useState(null);
+  const [breedFilter, setBreedFilter] = useState({ breed: '', subBreed: '' });
+  const [breedCatalog, setBreedCatalog] = useState([]);
   const [savedDogsData, setSavedDogsData] = useState([]);
   const [savedDogsLoading, setSavedDogsLoading] = useState(false);
+  const [savedDogsLoadingMore, setSavedDogsLoadingMore] = useState(false);
+  const [savedDogsNextToken, setSavedDogsNextToken] = useState(null);
+  const [savedDogsTotal, setSavedDogsTotal] = useState(null);
+  const [selectedSavedIds, setSelectedSavedIds] = useState(new Set());
+  const [collections, setCollections] = useState([]);
+  const [activeCollectionId, setActiveCollectionId] = useState('');
+  const [saveCollectionIds, setSaveCollectionIds] = useState(new Set());
+  const [newCollection, setNewCollection] = useState({ name: '', breed: '' });
+  const [renamingCollection, setRenamingCollection] = useState(null);
+  const [editingDog, setEditingDog] = useState(null);
+  const [activeTag, setActiveTag] = useState('');
+  const [savedSort, setSavedSort] = useState('newest');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [lastSavedDog, setLastSavedDog] = useState(null);
+  const [shareForm, setShareForm] = useState(null);
+  const [createdShare, setCreatedShare] = useState(null);
+  const [shares, setShares] = useState([]);
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
+  const [accountDeletion, setAccountDeletion] = useState(null);
+  const [exportFormat, setExportFormat] = useState('json');
+  const [exportStatus, setExportStatus] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  // Set from a 429 with a wait ({ code, secondsLeft }); fetching, and for
+  // RATE_LIMITED saving too, stays off until the countdown ends
+  const [slowDown, setSlowDown] = useState(null);
+  const isSlowedDown = slowDown !== null;
+  // Image URLs the user reported in this session
+  const [reportedImages, setReportedImages] = useState(new Set());
+  const [isAdmin, setIsAdmin] = useState(false);
 
   useEffect(() => {
     checkAuthState();
   }, []);
 
   useEffect(() => {
-    if (authState === 'authenticated' && currentTab === 'home' && !dogImage) {
+    if (authState === 'authenticated' && currentTab === 'home' && !dogImage && !isSlowedDown) {
       handleTestAPI();
     }
-  }, [authState, currentTab, dogImage]);
+  }, [authState, currentTab, dogImage, isSlowedDown]);
+
+  // Count the "slow down" notice down once a second and drop it when the wait is over
+  useEffect(() => {
+    if (!isSlowedDown) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      setSlowDown((current) => (current && current.secondsLeft > 1 ? { ...current, secondsLeft: current.secondsLeft - 1 } : null));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isSlowedDown]);
 
   // Check if current image is saved when dogImage changes
   useEffect(() => {
@@ -359,12 +1105,40 @@ function App() {
     }
   }, [dogImage, savedImages]);
 
-  // Fetch saved dogs when saved tab is selected
+  // Load the breed catalog once the user is signed in
   useEffect(() => {
-    if (currentTab === 'saved' && authState === 'authenticated') {
-      fetchSavedDogs();
+    if (authState === 'authenticated') {
+      fetchBreedCatalog();
+    }
+  }, [authState]);
+
+  // Show the Admin tab to members of the admin group
+  useEffect(() => {
+    if (authState !== 'authenticated') {
+      setIsAdmin(false);
+      return;
+    }
+    sessionHasAdminGroup()
+      .then(setIsAdmin)
+      .catch((error) => {
+        console.error('💥 Error reading groups from the session:', error);
+        setIsAdmin(false);
+      });
+  }, [authState]);
+
+  // Load the user's share links for the Settings tab
+  useEffect(() => {
+    if (authState === 'authenticated' && currentTab === 'settings') {
+      fetchShares();
+    }
+  }, [authState, currentTab]);
+
+  // Load the user's collections for the save picker and the Saved Dogs tab
+  useEffect(() => {
+    if (authState === 'authenticated' && (currentTab === 'home' || currentTab === 'saved')) {
+      fetchCollections();
     }
-  }, [currentTab, authState]);
+  }, [authState, currentTab]);
 
   const checkAuthState = async () => {
     try {
@@ -466,6 +1240,18 @@ function App() {
     }
   };
 
+  // Switch to the "slow down" notice when a call was rejected for going over a
+  // quota with a wait. Returns true when it did.
+  const handleSlowDown = useCallback((response, data) => {
+    const seconds = retryAfterSeconds(response, data);
+    if (!seconds) {
+      return false;
+    }
+    setSlowDown({ code: data.code, secondsLeft: seconds });
+    setError('');
+    return true;
+  }, []);
+
   const handleTestAPI = async () => {
     try {
       setLoading(true);
@@ -513,12 +1299,22 @@ function App() {
       console.log('🔑 JWT token obtained, calling Lambda with authentication...');
       console.log('🔑 JWT token preview:', jwtToken.substring(0, 50) + '...');
       
+      // Only ask for a breed / sub-breed when the user picked one
+      const params = new URLSearchParams();
+      if (breedFilter.breed) {
+        params.set('breed', breedFilter.breed);
+        if (breedFilter.subBreed) {
+          params.set('subBreed', breedFilter.subBreed);
+        }
+      }
+      const query = params.toString() ? `?${params}` : '';
+
       // Call our Lambda function with the JWT token in Authorization header
-      const response = await fetch(process.env.REACT_APP_LAMBDA_API_ENDPOINT, {
+      const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/v1/images/random${query}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${jwtToken}`
+          ...apiHeaders(jwtToken)
         },
       });
       
@@ -531,6 +1327,9 @@ function App() {
         // The Lambda function returns the dog image URL in data.dogData.message
         if (data.dogData && data.dogData.message && data.dogData.message.includes('https://')) {
           setDogImage(data.dogData.message);
+          setIsFallbackImage(Boolean(data.fallback));
+          // One Idempotency-Key per displayed image, shared by every save attempt for it
+          setSaveRequestKey(window.crypto.randomUUID());
           setIsImageSaved(savedImages.has(data.dogData.message));
           setError(''); // Clear any previous errors
           console.log('🐕 Dog image URL from Lambda:', data.dogData.message);
@@ -541,9 +1340,13 @@ function App() {
         }
       } else {
         console.error('❌ Lambda API request failed:', response.status);
-        const errorText = await response.text();
-        console.error('Error response:', errorText);
-        setError(`API request failed (${response.status}). Please try again.`);
+        const errorData = await response.json().catch(() => ({}));
+        console.error('Error response:', errorData);
+        // Over a quota: keep the current dog so it can still be saved
+        if (handleSlowDown(response, errorData)) {
+          return;
+        }
+        setError(describeApiError(errorData, `API request failed (${response.status}). Please try again.`));
         setDogImage(null); // Clear the image instead of showing a fallback
       }
     } catch (error) {
@@ -555,35 +1358,85 @@ function App() {
     }
   };
 
-  const handleDeleteAccount = async () => {
+  // Download all saved dogs. JSON and CSV come back as the file itself; a ZIP
+  // is built on the server and fetched from a short-lived download link.
+  const handleExportData = async () => {
     try {
-      await deleteUser();
-      handleSignOut();
+      setExportStatus({ running: true, message: 'Preparing your export…' });
+
+      const response = await fetchApi(`/v1/export?format=${encodeURIComponent(exportFormat)}`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(describeApiError(errorData, `Export failed with status ${response.status}`));
+      }
+
+      if (exportFormat === 'zip') {
+        const data = await response.json();
+        window.location.assign(data.downloadUrl);
+        setExportStatus({
+          running: false,
+          message: `✅ ZIP with ${data.imageCount} of ${data.count} images is downloading. The link expires at ${new Date(data.expiresAt).toLocaleTimeString()}.`
+        });
+        return;
+      }
+
+      const blob = await response.blob();
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `saved-dogs-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setExportStatus({ running: false, message: '✅ Your export has been downloaded.' });
     } catch (error) {
-      console.error('Error deleting account:', error);
-      setError('Failed to delete account. Please try again.');
+      console.error('💥 Error exporting data:', error);
+      setExportStatus({ running: false, message: '❌ ' + error.message });
     }
   };
 
-  const handleSaveImage = async () => {
-    if (!dogImage) return;
-    
-    // Prevent double execution
-    if (loading) {
-      console.log('⚠️ handleSaveImage already in progress, skipping...');
-      return;
-    }
-    
-    // Add debugging to track function calls
-    console.log('🔄 handleSaveImage called at:', new Date().toISOString());
-    console.log('🔄 Current dogImage:', dogImage);
+  // Purge the user's saved dogs, collections and share links first, then
+  // remove the Cognito user. The purge runs in passes for large accounts; the
+  // Cognito user is only deleted once every pass has succeeded.
+  const handleDeleteAccount = async () => {
+    const progress = { shares: 0, collections: 0, savedImages: 0 };
+
+    try {
+      setAccountDeletion({ stage: 'purging', deleted: progress });
+
+      let complete = false;
+      while (!complete) {
+        const { ok, data } = await callApi('/v1/account/purge', {
+          method: 'POST',
+          body: { confirmEmail: deleteConfirmation }
+        });
+        if (!ok) {
+          throw new Error(describeApiError(data, 'Could not delete your data'));
+        }
+
+        Object.keys(progress).forEach((key) => {
+          progress[key] += data.deleted?.[key] || 0;
+        });
+        setAccountDeletion({ stage: 'purging', deleted: { ...progress } });
+        complete = data.complete;
+      }
+
+      setAccountDeletion({ stage: 'deleting-user', deleted: { ...progress } });
+      await deleteUser();
+      handleSignOut();
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      setAccountDeletion(null);
+      setError('Failed to delete account: ' + error.message + '. Your account was not deleted; please try again.');
+    }
+  };
+
+  const handleSaveImage = async () => {
+    if (!dogImage) return;
     
     try {
       setLoading(true);
       console.log('💾 Saving image to DynamoDB:', dogImage);
       
       // Get JWT token
-      const currentUser = await getCurrentUser();
       const session = await fetchAuthSession();
       let jwtToken = session?.tokens?.idToken?.toString();
       
@@ -593,29 +1446,35 @@ function App() {
         return;
       }
       
-      // Call Lambda to save image
-      const response = await fetch(process.env.REACT_APP_LAMBDA_API_ENDPOINT, {
+      // Call Lambda to save image. Saves are idempotent server-side, so a retry or a
+      // double click returns the existing item (200) instead of creating a duplicate.
+      const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/v1/saved-images`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${jwtToken}`
+          ...apiHeaders(jwtToken),
+          ...(saveRequestKey && { 'Idempotency-Key': saveRequestKey })
         },
         body: JSON.stringify({
-          action: 'save_image',
-          imageUrl: dogImage
+          imageUrl: dogImage,
+          collectionIds: [...saveCollectionIds]
         })
       });
       
       if (response.ok) {
         const data = await response.json();
-        console.log('✅ Image saved successfully:', data);
+        console.log(data.created ? '✅ Image saved successfully:' : 'ℹ️ Image was already saved:', data);
         setSavedImages(prev => new Set([...prev, dogImage]));
         setIsImageSaved(true);
+        setLastSavedDog(data.savedImage);
         setError('');
       } else {
         const errorData = await response.json();
         console.error('❌ Failed to save image:', errorData);
-        setError('Failed to save image: ' + (errorData.message || 'Unknown error'));
+        if (handleSlowDown(response, errorData)) {
+          return;
+        }
+        setError('Failed to save image: ' + describeApiError(errorData));
       }
     } catch (error) {
       console.error('💥 Error saving image:', error);
@@ -648,7 +1507,7 @@ function App() {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${jwtToken}`
+          ...apiHeaders(jwtToken)
         },
         body: JSON.stringify({
           action: 'delete_image',
@@ -673,7 +1532,7 @@ function App() {
       } else {
         const errorData = await response.json();
         console.error('❌ Failed to delete image:', errorData);
-        setError('Failed to delete image: ' + (errorData.message || 'Unknown error'));
+        setError('Failed to delete image: ' + describeApiError(errorData));
       }
     } catch (error) {
       console.error('💥 Error deleting image:', error);
@@ -683,13 +1542,42 @@ function App() {
     }
   };
 
-  const fetchSavedDogs = async () => {
+  const fetchBreedCatalog = async () => {
     try {
-      setSavedDogsLoading(true);
+      const session = await fetchAuthSession();
+      let jwtToken = session?.tokens?.idToken?.toString();
+
+      if (!jwtToken) {
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/v1/breeds`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...apiHeaders(jwtToken)
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setBreedCatalog(data.breeds || []);
+      } else {
+        console.error('❌ Failed to fetch breed catalog:', response.status);
+      }
+    } catch (error) {
+      console.error('💥 Error fetching breed catalog:', error);
+    }
+  };
+
+  // Fetch the first page of saved dogs, or the next page when a nextToken is given
+  const fetchSavedDogs = useCallback(async (nextToken = null) => {
+    const setPageLoading = nextToken ? setSavedDogsLoadingMore : setSavedDogsLoading;
+    try {
+      setPageLoading(true);
       console.log('📸 Fetching saved dogs from DynamoDB...');
       
       // Get JWT token
-      const currentUser = await getCurrentUser();
       const session = await fetchAuthSession();
       let jwtToken = session?.tokens?.idToken?.toString();
       
@@ -698,41 +1586,76 @@ function App() {
         setError('Authentication required. Please sign in again.');
         return;
       }
+
+      const params = new URLSearchParams({ limit: '50' });
+      if (nextToken) {
+        params.set('nextToken', nextToken);
+      } else if (!activeCollectionId) {
+        params.set('includeTotal', 'true');
+      }
+      if (!activeCollectionId) {
+        if (activeTag) params.set('tag', activeTag);
+        if (favoritesOnly) {
+          params.set('favorites', 'true');
+        } else {
+          params.set('sort', savedSort);
+        }
+      }
+
+      // Either every saved image or only those in the selected collection
+      const listPath = activeCollectionId
+        ? `/v1/collections/${encodeURIComponent(activeCollectionId)}/images`
+        : '/v1/saved-images';
       
       // Call Lambda to get saved images
-      const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}?action=saved&limit=50`, {
+      const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}${listPath}?${params}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${jwtToken}`
+          ...apiHeaders(jwtToken)
         }
       });
       
       if (response.ok) {
         const data = await response.json();
         console.log('✅ Saved dogs fetched successfully:', data);
-        setSavedDogsData(data.savedImages || []);
+        const page = data.savedImages || [];
+        setSavedDogsData(prev => nextToken ? [...prev, ...page] : page);
+        setSavedDogsNextToken(data.nextToken || null);
+        if (!nextToken) {
+          setSavedDogsTotal(data.totalCount ?? null);
+        }
         setError('');
       } else {
         const errorData = await response.json();
         console.error('❌ Failed to fetch saved dogs:', errorData);
-        setError('Failed to fetch saved dogs: ' + (errorData.message || 'Unknown error'));
+        if (handleSlowDown(response, errorData)) {
+          return;
+        }
+        setError('Failed to fetch saved dogs: ' + describeApiError(errorData));
       }
     } catch (error) {
       console.error('💥 Error fetching saved dogs:', error);
       setError('Error fetching saved dogs: ' + error.message);
     } finally {
-      setSavedDogsLoading(false);
+      setPageLoading(false);
     }
-  };
+  }, [activeCollectionId, activeTag, favoritesOnly, savedSort, handleSlowDown]);
 
-  const handleDeleteSavedImage = async (imageUrl) => {
+  // Fetch saved dogs when saved tab is selected or another collection is picked
+  useEffect(() => {
+    if (currentTab === 'saved' && authState === 'authenticated') {
+      setSelectedSavedIds(new Set());
+      fetchSavedDogs();
+    }
+  }, [currentTab, authState, fetchSavedDogs]);
+
+  const handleDeleteSavedImage = async (dog) => {
     try {
       setLoading(true);
-      console.log('🗑️ Deleting saved image:', imageUrl);
+      console.log('🗑️ Deleting saved image:', dog.id);
       
       // Get JWT token
-      const currentUser = await getCurrentUser();
       const session = await fetchAuthSession();
       let jwtToken = session?.tokens?.idToken?.toString();
       
@@ -742,19 +1665,13 @@ function App() {
         return;
       }
 
-      // Add cache-busting parameter to force fresh CORS preflight
-      const apiUrl = `${process.env.REACT_APP_LAMBDA_API_ENDPOINT}?t=${Date.now()}`;
-      
+      const apiUrl = `${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/v1/saved-images/${encodeURIComponent(dog.id)}`;
+
       const response = await fetch(apiUrl, {
         method: 'DELETE',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${jwtToken}`
-        },
-        body: JSON.stringify({
-          action: 'delete_image',
-          imageUrl: imageUrl
-        })
+          ...apiHeaders(jwtToken)
+        }
       });
 
       if (response.ok) {
@@ -764,7 +1681,12 @@ function App() {
         // Remove the image from savedImages set
         setSavedImages(prev => {
           const newSet = new Set(prev);
-          newSet.delete(imageUrl);
+          newSet.delete(dog.image_url);
+          return newSet;
+        });
+        setSelectedSavedIds(prev => {
+          const newSet = new Set(prev);
+          newSet.delete(dog.id);
           return newSet;
         });
         
@@ -775,7 +1697,7 @@ function App() {
       } else {
         const errorData = await response.json();
         console.error('❌ Failed to delete image:', errorData);
-        setError('Failed to delete image: ' + (errorData.message || 'Unknown error'));
+        setError('Failed to delete image: ' + describeApiError(errorData));
       }
     } catch (error) {
       console.error('💥 Error deleting image:', error);
@@ -785,6 +1707,508 @@ function App() {
     }
   };
 
+  const toggleSavedSelection = (dogId) => {
+    setSelectedSavedIds(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(dogId)) {
+        newSet.delete(dogId);
+      } else {
+        newSet.add(dogId);
+      }
+      return newSet;
+    });
+  };
+
+  // Delete every selected saved image through the batch endpoint (25 ids per call).
+  // Images that could not be deleted stay selected and are reported to the user.
+  const handleBatchDeleteSavedImages = async () => {
+    const ids = [...selectedSavedIds];
+    if (ids.length === 0) return;
+
+    try {
+      setLoading(true);
+      console.log('🗑️ Batch deleting saved images:', ids);
+
+      const session = await fetchAuthSession();
+      let jwtToken = session?.tokens?.idToken?.toString();
+
+      if (!jwtToken) {
+        console.error('❌ No JWT token available');
+        setError('Authentication required. Please sign in again.');
+        return;
+      }
+
+      const results = [];
+      for (let start = 0; start < ids.length; start += 25) {
+        const response = await fetch(`${process.env.REACT_APP_LAMBDA_API_ENDPOINT}/v1/saved-images/batch-delete`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...apiHeaders(jwtToken)
+          },
+          body: JSON.stringify({ ids: ids.slice(start, start + 25) })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          console.error('❌ Failed to batch delete images:', data);
+          ids.slice(start, start + 25).forEach(id => results.push({ id, status: 'failed' }));
+          continue;
+        }
+        results.push(...data.results);
+      }
+
+      const deletedIds = new Set(results.filter(result => result.status === 'deleted').map(result => result.id));
+      const deletedUrls = savedDogsData.filter(dog => deletedIds.has(dog.id)).map(dog => dog.image_url);
+      setSavedImages(prev => new Set([...prev].filter(url => !deletedUrls.includes(url))));
+      setSelectedSavedIds(new Set(results.filter(result => result.status !== 'deleted').map(result => result.id)));
+
+      await fetchSavedDogs();
+
+      const failedCount = results.length - deletedIds.size;
+      setError(failedCount > 0
+        ? `Deleted ${deletedIds.size} of ${results.length} images. ${failedCount} could not be deleted and are still selected.`
+        : '');
+    } catch (error) {
+      console.error('💥 Error batch deleting images:', error);
+      setError('Error deleting images: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCollections = async () => {
+    try {
+      const { ok, data } = await callApi('/v1/collections');
+      if (ok) {
+        setCollections(data.collections || []);
+      } else {
+        console.error('❌ Failed to fetch collections:', data);
+      }
+    } catch (error) {
+      console.error('💥 Error fetching collections:', error);
+    }
+  };
+
+  const toggleSaveCollection = (collectionId) => {
+    setSaveCollectionIds(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(collectionId)) {
+        newSet.delete(collectionId);
+      } else {
+        newSet.add(collectionId);
+      }
+      return newSet;
+    });
+  };
+
+  // Create a manual collection, or a smart one when a breed rule is picked
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollection.name.trim()) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi('/v1/collections', {
+        method: 'POST',
+        body: {
+          name: newCollection.name.trim(),
+          ...(newCollection.breed && { rule: { field: 'breed', value: newCollection.breed } })
+        }
+      });
+
+      if (ok) {
+        setNewCollection({ name: '', breed: '' });
+        await fetchCollections();
+        setError('');
+      } else {
+        setError('Failed to create collection: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error creating collection:', error);
+      setError('Error creating collection: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRenameCollection = async (e) => {
+    e.preventDefault();
+    if (!renamingCollection || !renamingCollection.name.trim()) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(`/v1/collections/${encodeURIComponent(renamingCollection.id)}`, {
+        method: 'PATCH',
+        body: { name: renamingCollection.name.trim() }
+      });
+
+      if (ok) {
+        setRenamingCollection(null);
+        await fetchCollections();
+        setError('');
+      } else {
+        setError('Failed to rename collection: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error renaming collection:', error);
+      setError('Error renaming collection: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? The saved dogs in it are kept.`)) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(`/v1/collections/${encodeURIComponent(collection.id)}`, { method: 'DELETE' });
+
+      if (ok) {
+        setActiveCollectionId('');
+        setSaveCollectionIds(prev => {
+          const newSet = new Set(prev);
+          newSet.delete(collection.id);
+          return newSet;
+        });
+        await fetchCollections();
+        setError('');
+      } else {
+        setError('Failed to delete collection: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error deleting collection:', error);
+      setError('Error deleting collection: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddToCollection = async (dog, collectionId) => {
+    if (!collectionId) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(
+        `/v1/collections/${encodeURIComponent(collectionId)}/images/${encodeURIComponent(dog.id)}`,
+        { method: 'PUT' }
+      );
+
+      if (ok) {
+        await fetchCollections();
+        setError('');
+      } else {
+        setError('Failed to add to collection: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error adding to collection:', error);
+      setError('Error adding to collection: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Report an image as inappropriate or broken so an admin can review it
+  const handleReportImage = async (imageUrl, reason) => {
+    if (!reason) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi('/v1/flags', {
+        method: 'POST',
+        body: { imageUrl, reason }
+      });
+
+      if (ok) {
+        setReportedImages(prev => new Set(prev).add(imageUrl));
+        setError('');
+      } else {
+        setError('Failed to report image: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error reporting image:', error);
+      setError('Error reporting image: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemoveFromCollection = async (dog) => {
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(
+        `/v1/collections/${encodeURIComponent(activeCollectionId)}/images/${encodeURIComponent(dog.id)}`,
+        { method: 'DELETE' }
+      );
+
+      if (ok) {
+        await Promise.all([fetchSavedDogs(), fetchCollections()]);
+        setError('');
+      } else {
+        setError('Failed to remove from collection: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error removing from collection:', error);
+      setError('Error removing from collection: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditingDog = (dog) => {
+    setEditingDog({
+      id: dog.id,
+      version: dog.version || 1,
+      description: dog.description || '',
+      notes: dog.notes || '',
+      tags: (dog.tags || []).join(', ')
+    });
+  };
+
+  // Save inline edits. The current version is sent along so an edit made in
+  // another tab is reported instead of being silently overwritten.
+  const handleUpdateSavedDog = async (e) => {
+    e.preventDefault();
+    if (!editingDog) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(`/v1/saved-images/${encodeURIComponent(editingDog.id)}`, {
+        method: 'PATCH',
+        body: {
+          version: editingDog.version,
+          description: editingDog.description,
+          notes: editingDog.notes,
+          tags: editingDog.tags.split(',').map((tag) => tag.trim()).filter(Boolean)
+        }
+      });
+
+      const conflict = data.code === 'VERSION_CONFLICT';
+      if (ok || conflict) {
+        setSavedDogsData(prev => prev.map((dog) => (dog.id === data.savedImage.id ? data.savedImage : dog)));
+        setEditingDog(null);
+      }
+
+      if (ok) {
+        setError('');
+      } else if (conflict) {
+        setError('This dog was edited somewhere else. Its latest version is shown; edit it again to make your changes.');
+      } else {
+        setError('Failed to update saved dog: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error updating saved dog:', error);
+      setError('Error updating saved dog: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Set the star rating or favorite pin of a saved dog. Clicking the current
+  // rating again clears it.
+  const handleRateSavedDog = async (dog, changes) => {
+    try {
+      const { ok, data } = await callApi(`/v1/saved-images/${encodeURIComponent(dog.id)}`, {
+        method: 'PATCH',
+        body: { version: dog.version || 1, ...changes }
+      });
+
+      const conflict = data.code === 'VERSION_CONFLICT';
+      if (ok || conflict) {
+        const updateDog = (current) => (current?.id === data.savedImage.id ? data.savedImage : current);
+        setSavedDogsData(prev => prev.map(updateDog));
+        setLastSavedDog(updateDog);
+      }
+
+      if (ok) {
+        setError('');
+      } else {
+        setError('Failed to update saved dog: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error rating saved dog:', error);
+      setError('Error updating saved dog: ' + error.message);
+    }
+  };
+
+  // Notice shown instead of an error while a quota makes the user wait
+  const renderSlowDownNotice = () => slowDown && (
+    <div className="slow-down-container" role="status">
+      <div className="slow-down-notice">
+        <strong>🐢 Slow down!</strong>{' '}
+        {slowDown.code === 'RANDOM_FETCH_QUOTA_EXCEEDED'
+          ? `That's all the dogs for today. New ones arrive in ${formatWait(slowDown.secondsLeft)}.`
+          : `You're going faster than the API allows. Try again in ${formatWait(slowDown.secondsLeft)}.`}
+      </div>
+    </div>
+  );
+
+  const renderRatingControls = (dog) => (
+    <div className="rating-controls">
+      <div className="star-rating" role="group" aria-label="Rating">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            className={`star-button ${(dog.rating || 0) >= star ? 'star-button-filled' : ''}`}
+            onClick={() => handleRateSavedDog(dog, { rating: dog.rating === star ? null : star })}
+            title={dog.rating === star ? 'Clear rating' : `Rate ${star} star${star !== 1 ? 's' : ''}`}
+          >
+            {(dog.rating || 0) >= star ? '★' : '☆'}
+          </button>
+        ))}
+      </div>
+      <button
+        className={`favorite-button ${dog.favorite ? 'favorite-button-active' : ''}`}
+        onClick={() => handleRateSavedDog(dog, { favorite: !dog.favorite })}
+        title={dog.favorite ? 'Remove from favorites' : 'Add to favorites'}
+      >
+        {dog.favorite ? '❤️' : '🤍'}
+      </button>
+    </div>
+  );
+
+  const renderReportControl = (imageUrl) => (
+    reportedImages.has(imageUrl) ? (
+      <p className="auth-text auth-text-small report-image-done">🚩 Reported, thanks!</p>
+    ) : (
+      <select
+        className="auth-input report-image-select"
+        value=""
+        onChange={(e) => handleReportImage(imageUrl, e.target.value)}
+        disabled={loading}
+        title="Report this image to the moderators"
+      >
+        <option value="">🚩 Report…</option>
+        <option value="inappropriate">Inappropriate</option>
+        <option value="broken">Broken or not a dog</option>
+      </select>
+    )
+  );
+
+  // What a new share link covers: the selected dogs, else the open collection,
+  // else everything the user has saved
+  const shareScope = selectedSavedIds.size > 0
+    ? { imageIds: [...selectedSavedIds], label: `${selectedSavedIds.size} selected dog${selectedSavedIds.size !== 1 ? 's' : ''}` }
+    : activeCollectionId
+      ? { collectionId: activeCollectionId, label: `the collection "${collections.find((c) => c.id === activeCollectionId)?.name || ''}"` }
+      : { label: 'all your saved dogs' };
+
+  const fetchShares = async () => {
+    try {
+      const { ok, data } = await callApi('/v1/shares');
+      if (ok) {
+        setShares(data.shares || []);
+      } else {
+        console.error('❌ Failed to fetch share links:', data);
+      }
+    } catch (error) {
+      console.error('💥 Error fetching share links:', error);
+    }
+  };
+
+  const handleCreateShare = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi('/v1/shares', {
+        method: 'POST',
+        body: {
+          ...(shareScope.imageIds && { imageIds: shareScope.imageIds }),
+          ...(shareScope.collectionId && { collectionId: shareScope.collectionId }),
+          ...(shareForm.title.trim() && { title: shareForm.title.trim() }),
+          ...(shareForm.expiresInDays && { expiresInDays: Number(shareForm.expiresInDays) })
+        }
+      });
+
+      if (ok) {
+        setCreatedShare(data.share);
+        setShareForm(null);
+        setError('');
+      } else {
+        setError('Failed to create share link: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error creating share link:', error);
+      setError('Error creating share link: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeShare = async (share) => {
+    if (!window.confirm('Revoke this share link? Anyone using it will lose access.')) return;
+
+    try {
+      setLoading(true);
+      const { ok, data } = await callApi(`/v1/shares/${encodeURIComponent(share.token)}`, { method: 'DELETE' });
+
+      if (ok) {
+        setShares(prev => prev.filter((s) => s.token !== share.token));
+        setError('');
+      } else {
+        setError('Failed to revoke share link: ' + describeApiError(data));
+      }
+    } catch (error) {
+      console.error('💥 Error revoking share link:', error);
+      setError('Error revoking share link: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyShareLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(token));
+    } catch (error) {
+      console.error('❌ Could not copy share link:', error);
+      window.prompt('Copy this link:', buildShareUrl(token));
+    }
+  };
+
+  // Import a JSON or CSV file in the export format and show the row report
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+
+    try {
+      setLoading(true);
+      setImportReport(null);
+      const data = await file.text();
+      const { ok, data: result } = await callApi('/v1/saved-images/import', {
+        method: 'POST',
+        body: { format, data }
+      });
+
+      if (ok) {
+        setImportReport({ fileName: file.name, ...result });
+        setError('');
+        if (result.importedCount > 0) {
+          await fetchSavedDogs();
+        }
+      } else {
+        setError('Failed to import file: ' + describeApiError(result));
+      }
+    } catch (error) {
+      console.error('💥 Error importing file:', error);
+      setError('Error importing file: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tag filters apply to the full saved list, so leave any open collection
+  const handleSelectTag = (tag) => {
+    setActiveCollectionId('');
+    setActiveTag(tag);
+  };
+
+  const manualCollections = collections.filter((collection) => collection.type === 'manual');
+  const activeCollection = collections.find((collection) => collection.id === activeCollectionId);
+
   const renderNavbar = () => (
     <nav className="navbar">
       <div className="navbar-brand">
@@ -817,6 +2241,14 @@ function App() {
         >
           Settings
         </button>
+        {isAdmin && (
+          <button 
+            className={`navbar-tab ${currentTab === 'admin' ? 'active' : ''}`}
+            onClick={() => setCurrentTab('admin')}
+          >
+            Admin
+          </button>
+        )}
       </div>
 
       <div className="navbar-user">
@@ -875,16 +2307,114 @@ function App() {
           </div>
         </div>
 
+        <div className="export-data">
+          <h4 className="auth-heading">📦 Export My Data</h4>
+          <p className="auth-text auth-text-small">
+            Download every dog you have saved, with breeds, descriptions, notes, tags and ratings.
+          </p>
+          <div className="export-data-row">
+            <select
+              className="auth-input"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              disabled={exportStatus?.running}
+            >
+              <option value="json">JSON</option>
+              <option value="csv">CSV (spreadsheet)</option>
+              <option value="zip">ZIP with image files</option>
+            </select>
+            <button
+              className="auth-button auth-button-small"
+              onClick={handleExportData}
+              disabled={exportStatus?.running}
+              data-loading={exportStatus?.running}
+            >
+              {exportStatus?.running ? 'Exporting…' : '⬇️ Export'}
+            </button>
+          </div>
+          {exportStatus && (
+            <p className="auth-text auth-text-small">{exportStatus.message}</p>
+          )}
+        </div>
+
+        <div className="share-links">
+          <h4 className="auth-heading">🔗 Share Links</h4>
+          {shares.length === 0 ? (
+            <p className="auth-text auth-text-small">
+              You have no active share links. Create one from the Saved Dogs tab.
+            </p>
+          ) : (
+            shares.map((share) => (
+              <div key={share.token} className="detail-row share-link-row">
+                <div className="share-link-info">
+                  <span className="detail-label">{share.title || 'Untitled link'}</span>
+                  <span className="detail-value">
+                    {share.scope === 'all' && 'All saved dogs'}
+                    {share.scope === 'collection' && `Collection: ${collections.find((c) => c.id === share.collectionId)?.name || share.collectionId}`}
+                    {share.scope === 'images' && `${share.imageIds.length} dog${share.imageIds.length !== 1 ? 's' : ''}`}
+                    {' · '}
+                    {share.expires_at ? `expires ${new Date(share.expires_at).toLocaleDateString()}` : 'never expires'}
+                  </span>
+                </div>
+                <div className="share-link-actions">
+                  <button
+                    className="auth-button auth-button-outline auth-button-small"
+                    onClick={() => handleCopyShareLink(share.token)}
+                  >
+                    📋 Copy
+                  </button>
+                  <button
+                    className="auth-button auth-button-destructive auth-button-small"
+                    onClick={() => handleRevokeShare(share)}
+                    disabled={loading}
+                  >
+                    Revoke
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
         <div className="danger-zone">
           <h4 className="auth-heading">Danger Zone</h4>
           <p className="danger-warning">
             ⚠️ Deleting your account will permanently remove all your data and cannot be undone.
           </p>
+          {error && (
+            <div className="auth-error">
+              ⚠️ {error}
+            </div>
+          )}
+          <label className="auth-label" htmlFor="delete-confirmation">
+            Type your email <strong>{userInfo?.email}</strong> to confirm
+          </label>
+          <input
+            id="delete-confirmation"
+            type="text"
+            className="auth-input delete-confirmation-input"
+            value={deleteConfirmation}
+            onChange={(e) => setDeleteConfirmation(e.target.value)}
+            disabled={Boolean(accountDeletion)}
+            autoComplete="off"
+          />
+          {accountDeletion && (
+            <p className="auth-text auth-text-small delete-progress">
+              {accountDeletion.stage === 'purging'
+                ? `Deleting your data… ${accountDeletion.deleted.savedImages} saved dogs, ${accountDeletion.deleted.collections} collection entries and ${accountDeletion.deleted.shares} share links removed so far.`
+                : 'Your data is deleted. Removing your account…'}
+            </p>
+          )}
           <button 
             className="delete-account-button"
             onClick={handleDeleteAccount}
+            disabled={
+              Boolean(accountDeletion)
+              || !userInfo?.email
+              || deleteConfirmation.trim().toLowerCase() !== userInfo.email.toLowerCase()
+            }
           >
-            🗑️ Delete Account
+            {accountDeletion ? 'Deleting…' : '🗑️ Delete Account'}
           </button>
         </div>
 
@@ -927,6 +2457,8 @@ function App() {
     </div>
   );
 
+  const selectedBreedEntry = breedCatalog.find((entry) => entry.breed === breedFilter.breed);
+
   const renderHome = () => (
     <div className="home-container">
       <div className="home-card">
@@ -947,6 +2479,38 @@ function App() {
           Test the authenticated Lambda function with different HTTP methods. Each request will call our Lambda backend, which then fetches a random dog image from the Dog API! This demonstrates frontend-to-backend communication through AWS Lambda.
         </p>
         
+        <div className="breed-filter">
+          <div className="auth-field">
+            <label className="auth-label">Breed</label>
+            <select
+              className="auth-input"
+              value={breedFilter.breed}
+              onChange={(e) => setBreedFilter({ breed: e.target.value, subBreed: '' })}
+            >
+              <option value="">Any breed</option>
+              {breedCatalog.map((entry) => (
+                <option key={entry.breed} value={entry.breed}>{entry.displayName}</option>
+              ))}
+            </select>
+          </div>
+          <div className="auth-field">
+            <label className="auth-label">Sub-breed</label>
+            <select
+              className="auth-input"
+              value={breedFilter.subBreed}
+              onChange={(e) => setBreedFilter({ ...breedFilter, subBreed: e.target.value })}
+              disabled={!selectedBreedEntry || selectedBreedEntry.subBreeds.length === 0}
+            >
+              <option value="">Any {selectedBreedEntry ? selectedBreedEntry.displayName : 'sub-breed'}</option>
+              {(selectedBreedEntry?.subBreeds || []).map((entry) => (
+                <option key={entry.subBreed} value={entry.subBreed}>{entry.displayName}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {renderSlowDownNotice()}
+
         {error && (
           <div className="error-container">
             <div className="auth-error">
@@ -958,17 +2522,41 @@ function App() {
         {dogImage && (
           <div className="dog-image-container">
             <img src={dogImage} alt="Random Dog" className="dog-image" />
-            <p className="auth-text">Random dog image from Dog API via Lambda!</p>
+            <p className="auth-text">
+              {isFallbackImage
+                ? 'The Dog API is not responding right now, so here is a dog we fetched recently.'
+                : 'Random dog image from Dog API via Lambda!'}
+            </p>
             
             <button 
               className="auth-button"
               onClick={handleTestAPI}
-              disabled={loading}
+              disabled={loading || isSlowedDown}
               data-loading={loading}
             >
               {loading ? 'Loading...' : 'New Dog Image!'}
             </button>
             
+            {!isImageSaved && manualCollections.length > 0 && (
+              <div className="collection-picker">
+                <span className="auth-text auth-text-small">Also add to:</span>
+                {manualCollections.map((collection) => (
+                  <label key={collection.id} className="collection-chip">
+                    <input
+                      type="checkbox"
+                      checked={saveCollectionIds.has(collection.id)}
+                      onChange={() => toggleSaveCollection(collection.id)}
+                    />
+                    {collection.name}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {isImageSaved && lastSavedDog?.image_url === dogImage && renderRatingControls(lastSavedDog)}
+
+            {renderReportControl(dogImage)}
+
             <div className="save-image-container">
               {isImageSaved ? (
                 <button 
@@ -983,7 +2571,7 @@ function App() {
                 <button 
                   className="auth-button"
                   onClick={handleSaveImage}
-                  disabled={loading}
+                  disabled={loading || slowDown?.code === 'RATE_LIMITED'}
                   data-loading={loading}
                 >
                   💾 Save Image
@@ -997,7 +2585,7 @@ function App() {
           <button 
             className="auth-button"
             onClick={handleTestAPI}
-            disabled={loading}
+            disabled={loading || isSlowedDown}
             data-loading={loading}
           >
             {loading ? 'Loading...' : 'New Dog Image!'}
@@ -1017,15 +2605,252 @@ function App() {
         <div className="saved-dogs-actions">
           <button 
             className="auth-button auth-button-outline"
-            onClick={fetchSavedDogs}
+            onClick={() => fetchSavedDogs()}
             disabled={savedDogsLoading}
             data-loading={savedDogsLoading}
           >
             {savedDogsLoading ? 'Loading...' : '🔄 Refresh'}
           </button>
+          {selectedSavedIds.size > 0 && (
+            <button 
+              className="auth-button auth-button-destructive"
+              onClick={handleBatchDeleteSavedImages}
+              disabled={loading}
+              data-loading={loading}
+            >
+              🗑️ Delete selected ({selectedSavedIds.size})
+            </button>
+          )}
+          <button
+            className="auth-button auth-button-outline"
+            onClick={() => {
+              setCreatedShare(null);
+              setShareForm(shareForm ? null : { title: '', expiresInDays: '' });
+            }}
+          >
+            🔗 Share
+          </button>
+          <label className={`auth-button auth-button-outline import-button ${loading ? 'disabled' : ''}`}>
+            📥 Import
+            <input
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={handleImportFile}
+              disabled={loading}
+              hidden
+            />
+          </label>
+        </div>
+      </div>
+
+      {importReport && (
+        <div className="collections-bar import-report">
+          <div className="collections-bar-row">
+            <p className="auth-text auth-text-small">
+              <strong>{importReport.fileName}</strong>: {importReport.importedCount} imported,
+              {' '}{importReport.skippedCount} skipped, {importReport.rejectedCount} rejected.
+            </p>
+            <button className="auth-button auth-button-outline auth-button-small" onClick={() => setImportReport(null)}>
+              Close
+            </button>
+          </div>
+          {importReport.rows.some((row) => row.status !== 'imported') && (
+            <table className="import-report-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Image</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importReport.rows.filter((row) => row.status !== 'imported').map((row) => (
+                  <tr key={row.row} className={`import-row-${row.status}`}>
+                    <td>{row.row}</td>
+                    <td className="import-report-url">{row.image_url || '—'}</td>
+                    <td>{row.status}: {row.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {shareForm && (
+        <form className="collections-bar share-form" onSubmit={handleCreateShare}>
+          <p className="auth-text auth-text-small">Create a read-only link to {shareScope.label}.</p>
+          <div className="collections-bar-row">
+            <input
+              type="text"
+              className="auth-input"
+              value={shareForm.title}
+              onChange={(e) => setShareForm({ ...shareForm, title: e.target.value })}
+              placeholder="Title (optional)"
+              maxLength={100}
+            />
+            <select
+              className="auth-input"
+              value={shareForm.expiresInDays}
+              onChange={(e) => setShareForm({ ...shareForm, expiresInDays: e.target.value })}
+            >
+              <option value="">Never expires</option>
+              <option value="1">Expires in 1 day</option>
+              <option value="7">Expires in 7 days</option>
+              <option value="30">Expires in 30 days</option>
+            </select>
+            <button type="submit" className="auth-button auth-button-small" disabled={loading}>
+              Create link
+            </button>
+          </div>
+        </form>
+      )}
+
+      {createdShare && (
+        <div className="collections-bar share-form">
+          <p className="auth-text auth-text-small">
+            ✅ Share link created. Anyone with it can view these dogs until you revoke it in Settings.
+          </p>
+          <div className="collections-bar-row">
+            <input type="text" className="auth-input" value={buildShareUrl(createdShare.token)} readOnly />
+            <button className="auth-button auth-button-small" onClick={() => handleCopyShareLink(createdShare.token)}>
+              📋 Copy
+            </button>
+            <button className="auth-button auth-button-outline auth-button-small" onClick={() => setCreatedShare(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="collections-bar">
+        <div className="collections-bar-row">
+          <label className="auth-label" htmlFor="collection-filter">Show</label>
+          <select
+            id="collection-filter"
+            className="auth-input"
+            value={activeCollectionId}
+            onChange={(e) => {
+              setRenamingCollection(null);
+              setActiveCollectionId(e.target.value);
+            }}
+          >
+            <option value="">All saved dogs</option>
+            {collections.map((collection) => (
+              <option key={collection.id} value={collection.id}>
+                {collection.type === 'smart' ? '✨ ' : '📁 '}{collection.name}
+                {collection.imageCount !== undefined ? ` (${collection.imageCount})` : ''}
+              </option>
+            ))}
+          </select>
+          {activeCollection && !renamingCollection && (
+            <>
+              <button
+                className="auth-button auth-button-outline auth-button-small"
+                onClick={() => setRenamingCollection({ id: activeCollection.id, name: activeCollection.name })}
+                disabled={loading}
+              >
+                ✏️ Rename
+              </button>
+              <button
+                className="auth-button auth-button-destructive auth-button-small"
+                onClick={() => handleDeleteCollection(activeCollection)}
+                disabled={loading}
+              >
+                🗑️ Delete collection
+              </button>
+            </>
+          )}
         </div>
+
+        {!activeCollection && (
+          <div className="collections-bar-row">
+            <label className="auth-label" htmlFor="saved-sort">Sort</label>
+            <select
+              id="saved-sort"
+              className="auth-input"
+              value={favoritesOnly ? 'rating' : savedSort}
+              onChange={(e) => setSavedSort(e.target.value)}
+              disabled={favoritesOnly}
+            >
+              <option value="newest">Newest first</option>
+              <option value="rating">Top rated</option>
+            </select>
+            <label className="saved-dog-select">
+              <input
+                type="checkbox"
+                checked={favoritesOnly}
+                onChange={(e) => setFavoritesOnly(e.target.checked)}
+              />
+              ❤️ Favorites only
+            </label>
+          </div>
+        )}
+
+        {renamingCollection && (
+          <form className="collections-bar-row" onSubmit={handleRenameCollection}>
+            <input
+              type="text"
+              className="auth-input"
+              value={renamingCollection.name}
+              onChange={(e) => setRenamingCollection({ ...renamingCollection, name: e.target.value })}
+              maxLength={100}
+              autoFocus
+            />
+            <button type="submit" className="auth-button auth-button-small" disabled={loading}>Save</button>
+            <button type="button" className="auth-button auth-button-outline auth-button-small" onClick={() => setRenamingCollection(null)}>
+              Cancel
+            </button>
+          </form>
+        )}
+
+        {activeCollection?.type === 'smart' && (
+          <p className="auth-text auth-text-small">
+            ✨ Smart collection: every saved dog whose breed is {breedCatalog.find((entry) => entry.breed === activeCollection.rule.value)?.displayName || activeCollection.rule.value}.
+          </p>
+        )}
+
+        <form className="collections-bar-row" onSubmit={handleCreateCollection}>
+          <input
+            type="text"
+            className="auth-input"
+            value={newCollection.name}
+            onChange={(e) => setNewCollection({ ...newCollection, name: e.target.value })}
+            placeholder="New collection name"
+            maxLength={100}
+          />
+          <select
+            className="auth-input"
+            value={newCollection.breed}
+            onChange={(e) => setNewCollection({ ...newCollection, breed: e.target.value })}
+            title="Pick a breed to make a smart collection that fills itself"
+          >
+            <option value="">Manual collection</option>
+            {breedCatalog.map((entry) => (
+              <option key={entry.breed} value={entry.breed}>✨ Smart: all {entry.displayName} dogs</option>
+            ))}
+          </select>
+          <button type="submit" className="auth-button auth-button-small" disabled={loading || !newCollection.name.trim()}>
+            ➕ Create
+          </button>
+        </form>
       </div>
 
+      {activeTag && (
+        <div className="tag-filter">
+          <span className="auth-text auth-text-small">Showing dogs tagged</span>
+          <span className="tag-chip tag-chip-active">#{activeTag}</span>
+          <button
+            className="auth-button auth-button-outline auth-button-small"
+            onClick={() => setActiveTag('')}
+          >
+            ✕ Clear
+          </button>
+        </div>
+      )}
+
+      {renderSlowDownNotice()}
+
       {error && (
         <div className="error-container">
           <div className="auth-error">
@@ -1058,23 +2883,122 @@ function App() {
           {savedDogsData.map((dog, index) => (
             <div key={dog.id || index} className="saved-dog-card">
               <div className="saved-dog-image-container">
-                <img
-                  src={dog.image_url}
-                  alt={`Saved dog - ${dog.breed || 'Unknown breed'}`}
-                  className="saved-dog-image"
-                  onError={(e) => {
-                    e.target.style.display = 'none';
-                    e.target.nextSibling.style.display = 'block';
-                  }}
-                />
+                {/* The grid shows a thumbnail; the full image only loads when opened */}
+                <a
+                  href={dog.mirror_url || dog.image_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  title="Open full size"
+                >
+                  <img
+                    src={dog.thumbnail_url || dog.mirror_url || dog.image_url}
+                    srcSet={thumbnailSrcSet(dog)}
+                    sizes="(max-width: 480px) 100vw, 300px"
+                    width={dog.width}
+                    height={dog.height}
+                    loading="lazy"
+                    alt={`Saved dog - ${dog.breed_display_name || dog.breed || 'Unknown breed'}`}
+                    className="saved-dog-image"
+                    onError={(e) => {
+                      // An expired mirror link falls back to the original image first
+                      if (dog.mirror_url && !e.target.dataset.triedOriginal) {
+                        e.target.dataset.triedOriginal = 'true';
+                        e.target.removeAttribute('srcset');
+                        e.target.src = dog.image_url;
+                        return;
+                      }
+                      e.target.style.display = 'none';
+                      e.target.parentNode.nextSibling.style.display = 'block';
+                    }}
+                  />
+                </a>
                 <div style={{ display: 'none', textAlign: 'center', padding: '20px', color: '#666' }}>
                   🐕 Image loading...
                 </div>
               </div>
               <div className="saved-dog-info">
-                <h4 className="saved-dog-breed">{dog.breed || 'Unknown Breed'}</h4>
-                {dog.description && (
-                  <p className="saved-dog-description">{dog.description}</p>
+                <label className="saved-dog-select">
+                  <input
+                    type="checkbox"
+                    checked={selectedSavedIds.has(dog.id)}
+                    onChange={() => toggleSavedSelection(dog.id)}
+                  />
+                  Select
+                </label>
+                <h4 className="saved-dog-breed">{dog.breed_display_name || dog.breed || 'Unknown Breed'}</h4>
+                {renderRatingControls(dog)}
+                {editingDog?.id === dog.id ? (
+                  <form className="saved-dog-edit-form" onSubmit={handleUpdateSavedDog}>
+                    <label className="auth-label" htmlFor={`description-${dog.id}`}>Description</label>
+                    <input
+                      id={`description-${dog.id}`}
+                      type="text"
+                      className="auth-input"
+                      value={editingDog.description}
+                      onChange={(e) => setEditingDog({ ...editingDog, description: e.target.value })}
+                      maxLength={500}
+                    />
+                    <label className="auth-label" htmlFor={`notes-${dog.id}`}>Notes</label>
+                    <textarea
+                      id={`notes-${dog.id}`}
+                      className="auth-input"
+                      value={editingDog.notes}
+                      onChange={(e) => setEditingDog({ ...editingDog, notes: e.target.value })}
+                      maxLength={2000}
+                      rows={3}
+                    />
+                    <label className="auth-label" htmlFor={`tags-${dog.id}`}>Tags (comma separated)</label>
+                    <input
+                      id={`tags-${dog.id}`}
+                      type="text"
+                      className="auth-input"
+                      value={editingDog.tags}
+                      onChange={(e) => setEditingDog({ ...editingDog, tags: e.target.value })}
+                      placeholder="fluffy, park, favorite"
+                    />
+                    <div className="saved-dog-edit-actions">
+                      <button type="submit" className="auth-button auth-button-small" disabled={loading}>
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        className="auth-button auth-button-outline auth-button-small"
+                        onClick={() => setEditingDog(null)}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <>
+                    {dog.description && (
+                      <p className="saved-dog-description">{dog.description}</p>
+                    )}
+                    {dog.notes && (
+                      <p className="saved-dog-notes">📝 {dog.notes}</p>
+                    )}
+                    {dog.tags?.length > 0 && (
+                      <div className="saved-dog-tags">
+                        {dog.tags.map((tag) => (
+                          <button
+                            key={tag}
+                            className={`tag-chip ${tag === activeTag ? 'tag-chip-active' : ''}`}
+                            onClick={() => handleSelectTag(tag)}
+                            title={`Show dogs tagged ${tag}`}
+                          >
+                            #{tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      className="auth-button auth-button-outline auth-button-small"
+                      onClick={() => startEditingDog(dog)}
+                      disabled={loading}
+                    >
+                      ✏️ Edit
+                    </button>
+                  </>
                 )}
                 <p className="saved-dog-date">
                   Saved: {new Date(dog.created_at).toLocaleDateString()}
@@ -1082,9 +3006,32 @@ function App() {
                 <p className="saved-dog-time">
                   {new Date(dog.created_at).toLocaleTimeString()}
                 </p>
+                {manualCollections.length > 0 && (
+                  <select
+                    className="auth-input saved-dog-collection-select"
+                    value=""
+                    onChange={(e) => handleAddToCollection(dog, e.target.value)}
+                    disabled={loading}
+                  >
+                    <option value="">📁 Add to collection…</option>
+                    {manualCollections.map((collection) => (
+                      <option key={collection.id} value={collection.id}>{collection.name}</option>
+                    ))}
+                  </select>
+                )}
+                {activeCollection?.type === 'manual' && (
+                  <button
+                    className="auth-button auth-button-outline auth-button-small"
+                    onClick={() => handleRemoveFromCollection(dog)}
+                    disabled={loading}
+                  >
+                    Remove from collection
+                  </button>
+                )}
+                {renderReportControl(dog.image_url)}
                 <button 
                   className="delete-saved-image-btn"
-                  onClick={() => handleDeleteSavedImage(dog.image_url)}
+                  onClick={() => handleDeleteSavedImage(dog)}
                   disabled={loading}
                   title="Delete this image"
                 >
@@ -1099,8 +3046,18 @@ function App() {
       {savedDogsData.length > 0 && (
         <div className="saved-dogs-footer">
           <p className="auth-text">
-            You have {savedDogsData.length} saved dog{savedDogsData.length !== 1 ? 's' : ''} in your collection!
+            You have {savedDogsTotal ?? savedDogsData.length} saved dog{(savedDogsTotal ?? savedDogsData.length) !== 1 ? 's' : ''} in your collection!
           </p>
+          {savedDogsNextToken && (
+            <button 
+              className="auth-button auth-button-outline"
+              onClick={() => fetchSavedDogs(savedDogsNextToken)}
+              disabled={savedDogsLoadingMore}
+              data-loading={savedDogsLoadingMore}
+            >
+              {savedDogsLoadingMore ? 'Loading...' : `Load more (showing ${savedDogsData.length})`}
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -1322,9 +3279,11 @@ function App() {
       {currentTab === 'saved' && renderSavedDogs()}
       {currentTab === 'about' && renderAbout()}
       {currentTab === 'settings' && renderSettings()}
+      {currentTab === 'admin' && isAdmin && <AdminConsole />}
     </div>
   );
 
+  if (shareTokenFromUrl) return <PublicShareView token={shareTokenFromUrl} />;
   if (authState === 'signIn') return renderSignIn();
   if (authState === 'signUp') return renderSignUp();
   if (authState === 'confirmSignUp') return renderConfirmSignUp();